@@ -1,7 +1,7 @@
 /**
  * OmniHelper.js - JavaScript Utility Library
  * Version: 1.0.0
- * Description: A comprehensive JavaScript library providing data transformation, smart logging, micro animations, notifications, and utility functions.
+ * Description: A comprehensive JavaScript library providing data transformation, smart logging, micro animations, notifications, utility functions, and statistics.
  * Author: Mohamed Ashraf
  * Facebook: https://www.facebook.com/share/1Gf47LvFjv/
  * License: MIT
@@ -28,7 +28,8 @@
         Log: {},
         Anim: {},
         Notify: {},
-        Utils: {}
+        Utils: {},
+        Stats: {}
     };
 
     /**
@@ -169,67 +170,414 @@
 
         /**
          * Sort array by key(s)
+         *
+         * Keys may be property names, dotted paths ('user.name'), functions, or
+         * { key, order, compare, nulls } objects for per-key settings. The sort is
+         * stable, and null/undefined values are kept together (last by default).
+         *
          * @param {Array} array - The array to sort
-         * @param {string|Array} key - The key(s) to sort by
+         * @param {string|Function|Object|Array} key - The key(s) to sort by
          * @param {string|Array} order - The order(s) ('asc' or 'desc')
+         * @param {Object} options - Options:
+         *   locale (use Intl.Collator for strings), natural (numeric-aware: 'item2' before 'item10'),
+         *   caseSensitive (default false), nulls ('first' or 'last', default 'last'),
+         *   compare (function(a, b) used for every key)
          * @returns {Array} Sorted array
          */
-        sortBy: function(array, key, order) {
+        sortBy: function(array, key, order, options) {
             if (!Array.isArray(array)) {
                 throw new Error('Input must be an array');
             }
             
+            const self = this;
+            const opts = options || {};
             const keys = Array.isArray(key) ? key : [key];
             const orders = Array.isArray(order) ? order : [order || 'asc'];
+            const collator = opts.locale || opts.natural
+                ? new Intl.Collator(opts.locale, {
+                    numeric: Boolean(opts.natural),
+                    sensitivity: opts.caseSensitive ? 'variant' : 'accent'
+                })
+                : null;
+
+            const specs = keys.map(function(k, i) {
+                const spec = k !== null && typeof k === 'object' ? k : { key: k };
+                return {
+                    key: spec.key,
+                    order: spec.order || orders[i] || 'asc',
+                    nulls: spec.nulls || opts.nulls || 'last',
+                    compare: spec.compare || opts.compare
+                };
+            });
+
+            function compareValues(valA, valB, spec) {
+                const nullA = valA === null || valA === undefined;
+                const nullB = valB === null || valB === undefined;
+
+                if (nullA || nullB) {
+                    if (nullA && nullB) return 0;
+                    return (nullA ? -1 : 1) * (spec.nulls === 'first' ? 1 : -1);
+                }
+
+                let result;
+                if (spec.compare) {
+                    result = spec.compare(valA, valB);
+                } else if (typeof valA === 'string' && typeof valB === 'string') {
+                    if (collator) {
+                        result = collator.compare(valA, valB);
+                    } else {
+                        if (!opts.caseSensitive) {
+                            valA = valA.toLowerCase();
+                            valB = valB.toLowerCase();
+                        }
+                        result = valA < valB ? -1 : valA > valB ? 1 : 0;
+                    }
+                } else {
+                    if (valA instanceof Date) valA = valA.getTime();
+                    if (valB instanceof Date) valB = valB.getTime();
+                    result = valA < valB ? -1 : valA > valB ? 1 : 0;
+                }
+                return spec.order === 'desc' ? -result : result;
+            }
+
+            const decorated = array.map(function(item, index) {
+                return {
+                    item: item,
+                    index: index,
+                    values: specs.map(function(spec) {
+                        return self.resolveKey(item, spec.key);
+                    })
+                };
+            });
             
-            const sorted = array.slice();
-            
-            sorted.sort(function(a, b) {
-                for (let i = 0; i < keys.length; i++) {
-                    const k = keys[i];
-                    const o = orders[i] || 'asc';
-                    
-                    let valA = a[k];
-                    let valB = b[k];
-                    
-                    if (typeof valA === 'string') valA = valA.toLowerCase();
-                    if (typeof valB === 'string') valB = valB.toLowerCase();
-                    
-                    if (valA < valB) return o === 'asc' ? -1 : 1;
-                    if (valA > valB) return o === 'asc' ? 1 : -1;
+            decorated.sort(function(a, b) {
+                for (let i = 0; i < specs.length; i++) {
+                    const result = compareValues(a.values[i], b.values[i], specs[i]);
+                    if (result !== 0) return result;
                 }
-                return 0;
+                return a.index - b.index;
             });
             
-            return sorted;
+            return decorated.map(function(entry) {
+                return entry.item;
+            });
         },
 
         /**
          * Parse JSON with error handling
          * @param {string} jsonString - The JSON string to parse
          * @param {*} defaultValue - The default value if parsing fails
+         * @param {Object} options - Options:
+         *   tagged (revive output of serialize(data, { tagged: true })),
+         *   reviver (function(key, value) as in JSON.parse),
+         *   mode ('relaxed' accepts JSON5-style input; 'strict' throws a SyntaxError with
+         *   line, column and snippet instead of returning defaultValue)
          * @returns {*} Parsed object or default value
          */
-        deepParse: function(jsonString, defaultValue) {
+        deepParse: function(jsonString, defaultValue, options) {
+            const opts = options || {};
+
             if (typeof jsonString !== 'string') {
                 return defaultValue !== undefined ? defaultValue : jsonString;
             }
             
             try {
-                return JSON.parse(jsonString);
+                const parsed = opts.mode
+                    ? this.parseJSON(jsonString, { relaxed: opts.mode === 'relaxed', reviver: opts.reviver })
+                    : JSON.parse(jsonString, opts.reviver);
+                return opts.tagged ? this.fromTagged(parsed) : parsed;
             } catch (e) {
+                if (opts.mode === 'strict') {
+                    throw e;
+                }
                 console.warn('OmniHelper: Failed to parse JSON', e);
                 return defaultValue !== undefined ? defaultValue : null;
             }
         },
 
+        /**
+         * Parse JSON text, reporting errors with their location
+         *
+         * In relaxed mode the parser also accepts comments, trailing commas,
+         * single-quoted strings, unquoted keys, hex numbers, leading/trailing
+         * decimal points, a leading '+', Infinity, NaN and a leading byte order mark.
+         *
+         * @param {string} text - The JSON text
+         * @param {Object} options - Options ({ relaxed: boolean, reviver: Function })
+         * @returns {*} Parsed value
+         * @throws {SyntaxError} With line, column, position and snippet properties
+         */
+        parseJSON: function(text, options) {
+            const opts = options || {};
+            const relaxed = Boolean(opts.relaxed);
+
+            if (!relaxed) {
+                try {
+                    return JSON.parse(text, opts.reviver);
+                } catch (e) {
+                    // Fall through to the parser below to locate the error
+                }
+            }
+
+            // Like JSON.parse, strict input may not start with a byte order mark
+            let pos = relaxed && text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+            function fail(message, at) {
+                const position = at !== undefined ? at : pos;
+                const before = text.slice(0, position);
+                const line = before.split('\n').length;
+                const lineStart = before.lastIndexOf('\n') + 1;
+                const lineEnd = text.indexOf('\n', position) === -1 ? text.length : text.indexOf('\n', position);
+                const column = position - lineStart + 1;
+                const from = Math.max(lineStart, position - 40);
+                const source = text.slice(from, Math.min(lineEnd, position + 40)).replace(/\r$/, '');
+                const snippet = source + '\n' + ' '.repeat(position - from) + '^';
+
+                const error = new SyntaxError(message + ' at line ' + line + ', column ' + column + '\n' + snippet);
+                error.line = line;
+                error.column = column;
+                error.position = position;
+                error.snippet = snippet;
+                throw error;
+            }
+
+            function describe(at) {
+                return at >= text.length ? 'Unexpected end of input' : 'Unexpected token ' + JSON.stringify(text[at]);
+            }
+
+            function skipWhitespace() {
+                while (pos < text.length) {
+                    const char = text[pos];
+                    if (char === ' ' || char === '\t' || char === '\n' || char === '\r' ||
+                        (relaxed && /[\v\f\u00A0\u2028\u2029\uFEFF]/.test(char))) {
+                        pos++;
+                    } else if (relaxed && char === '/' && text[pos + 1] === '/') {
+                        while (pos < text.length && text[pos] !== '\n') pos++;
+                    } else if (relaxed && char === '/' && text[pos + 1] === '*') {
+                        const end = text.indexOf('*/', pos + 2);
+                        if (end === -1) fail('Unterminated comment');
+                        pos = end + 2;
+                    } else {
+                        break;
+                    }
+                }
+            }
+
+            function expect(char) {
+                if (text[pos] !== char) {
+                    fail(describe(pos) + ', expected ' + JSON.stringify(char));
+                }
+                pos++;
+            }
+
+            function parseString() {
+                const quote = text[pos];
+                const escapes = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+                let result = '';
+                pos++;
+
+                while (pos < text.length) {
+                    const char = text[pos];
+                    if (char === quote) {
+                        pos++;
+                        return result;
+                    }
+                    if (char === '\\') {
+                        const escape = text[pos + 1];
+                        if (escape === 'u') {
+                            const hex = text.substr(pos + 2, 4);
+                            if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('Bad Unicode escape', pos);
+                            result += String.fromCharCode(parseInt(hex, 16));
+                            pos += 6;
+                            continue;
+                        }
+                        if (escapes.hasOwnProperty(escape)) {
+                            result += escapes[escape];
+                        } else if (relaxed && (escape === '\n' || escape === '\r')) {
+                            if (escape === '\r' && text[pos + 2] === '\n') pos++;
+                        } else if (relaxed && escape === 'v') {
+                            result += '\v';
+                        } else if (relaxed && escape === '0' && !/[0-9]/.test(text[pos + 2] || '')) {
+                            result += '\0';
+                        } else if (relaxed && escape !== undefined && !/[0-9xu]/.test(escape)) {
+                            result += escape;
+                        } else {
+                            fail('Bad escaped character', pos);
+                        }
+                        pos += 2;
+                        continue;
+                    }
+                    if (char < ' ') {
+                        fail('Bad control character in string literal');
+                    }
+                    result += char;
+                    pos++;
+                }
+                fail('Unterminated string');
+            }
+
+            function parseNumber() {
+                const pattern = relaxed
+                    ? /[+-]?(?:0[xX][0-9a-fA-F]+|Infinity|NaN|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y
+                    : /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+                pattern.lastIndex = pos;
+                const match = pattern.exec(text);
+                if (!match) fail(describe(pos));
+                pos += match[0].length;
+
+                const literal = match[0];
+                const sign = literal.charAt(0) === '-' ? -1 : 1;
+                const unsigned = literal.replace(/^[+-]/, '');
+                return /^0[xX]/.test(unsigned) ? sign * parseInt(unsigned, 16) : sign * Number(unsigned);
+            }
+
+            function parseKey() {
+                const char = text[pos];
+                if (char === '"' || (relaxed && char === "'")) {
+                    return parseString();
+                }
+                if (relaxed) {
+                    const match = /[A-Za-z_$][\w$]*/y;
+                    match.lastIndex = pos;
+                    const found = match.exec(text);
+                    if (found) {
+                        pos += found[0].length;
+                        return found[0];
+                    }
+                }
+                fail(describe(pos) + ', expected property name');
+            }
+
+            function parseValue() {
+                skipWhitespace();
+                const char = text[pos];
+
+                if (char === '{') {
+                    const object = {};
+                    pos++;
+                    skipWhitespace();
+                    if (text[pos] === '}') {
+                        pos++;
+                        return object;
+                    }
+                    for (;;) {
+                        skipWhitespace();
+                        const key = parseKey();
+                        skipWhitespace();
+                        expect(':');
+                        Object.defineProperty(object, key, {
+                            value: parseValue(),
+                            writable: true,
+                            enumerable: true,
+                            configurable: true
+                        });
+                        skipWhitespace();
+                        if (text[pos] === ',') {
+                            pos++;
+                            skipWhitespace();
+                            if (relaxed && text[pos] === '}') {
+                                pos++;
+                                return object;
+                            }
+                        } else if (text[pos] === '}') {
+                            pos++;
+                            return object;
+                        } else {
+                            fail(describe(pos) + ", expected ',' or '}'");
+                        }
+                    }
+                }
+
+                if (char === '[') {
+                    const array = [];
+                    pos++;
+                    skipWhitespace();
+                    if (text[pos] === ']') {
+                        pos++;
+                        return array;
+                    }
+                    for (;;) {
+                        array.push(parseValue());
+                        skipWhitespace();
+                        if (text[pos] === ',') {
+                            pos++;
+                            skipWhitespace();
+                            if (relaxed && text[pos] === ']') {
+                                pos++;
+                                return array;
+                            }
+                        } else if (text[pos] === ']') {
+                            pos++;
+                            return array;
+                        } else {
+                            fail(describe(pos) + ", expected ',' or ']'");
+                        }
+                    }
+                }
+
+                if (char === '"' || (relaxed && char === "'")) {
+                    return parseString();
+                }
+
+                const literals = { 'true': true, 'false': false, 'null': null };
+                for (const word in literals) {
+                    if (text.substr(pos, word.length) === word) {
+                        pos += word.length;
+                        return literals[word];
+                    }
+                }
+
+                if (char !== undefined && /[-0-9]/.test(char) || (relaxed && /[+.IN]/.test(char))) {
+                    return parseNumber();
+                }
+
+                fail(describe(pos));
+            }
+
+            let result = parseValue();
+            skipWhitespace();
+            if (pos < text.length) {
+                fail(describe(pos));
+            }
+
+            if (typeof opts.reviver === 'function') {
+                const reviver = opts.reviver;
+                const walk = function(holder, key) {
+                    const value = holder[key];
+                    if (value !== null && typeof value === 'object') {
+                        Object.keys(value).forEach(function(k) {
+                            const revived = walk(value, k);
+                            if (revived === undefined) {
+                                delete value[k];
+                            } else {
+                                value[k] = revived;
+                            }
+                        });
+                    }
+                    return reviver.call(holder, key, value);
+                };
+                result = walk({ '': result }, '');
+            }
+
+            return result;
+        },
+
         /**
          * Serialize data to JSON string
          * @param {*} data - The data to serialize
-         * @param {number} indent - The indentation (pretty print)
+         * @param {number|Object} indent - The indentation (pretty print), or an options object
+         * @param {Object} options - Options ({ tagged: true } preserves Date, Map, Set, BigInt, RegExp,
+         *   typed arrays, DataView, undefined, NaN/Infinity and shared/circular references; see toTagged)
          * @returns {string} JSON string
          */
-        serialize: function(data, indent) {
+        serialize: function(data, indent, options) {
+            if (indent !== null && typeof indent === 'object') {
+                options = indent;
+                indent = indent.indent;
+            }
+            if (options && options.tagged) {
+                data = this.toTagged(data);
+            }
             if (indent !== undefined) {
                 return JSON.stringify(data, null, indent);
             }
@@ -237,123 +585,3992 @@
         },
 
         /**
-         * Convert a value to a specific type
-         * @param {*} value - The value to convert
-         * @param {string} targetType - The target type ('string', 'number', 'boolean', 'array', 'object')
-         * @returns {*} Converted value
-         */
-        convertType: function(value, targetType) {
-            const type = targetType.toLowerCase();
-            
-            switch (type) {
-                case 'string':
-                    if (value === null || value === undefined) return '';
-                    if (Array.isArray(value)) return JSON.stringify(value);
-                    if (typeof value === 'object') return JSON.stringify(value);
-                    return String(value);
-                
-                case 'number':
-                    const num = Number(value);
-                    return isNaN(num) ? 0 : num;
-                
-                case 'boolean':
-                    if (value === 'true' || value === '1' || value === 1) return true;
-                    if (value === 'false' || value === '0' || value === 0) return false;
-                    return Boolean(value);
-                
-                case 'array':
-                    if (Array.isArray(value)) return value;
-                    if (value === null || value === undefined) return [];
-                    if (typeof value === 'string') {
-                        try {
-                            return JSON.parse(value);
-                        } catch (e) {
-                            return [value];
+         * Encode a value into a JSON-safe tree where non-JSON types are tagged
+         *
+         * Tagged values look like { $type: 'Date', value: 0 }. Objects reached more
+         * than once get an id and later occurrences become { $type: 'Ref', id },
+         * so shared and circular references survive. Plain objects that have their
+         * own '$type' key are wrapped so they are not mistaken for tags.
+         *
+         * @param {*} value - The value to encode
+         * @returns {*} JSON-safe tree
+         */
+        toTagged: function(value) {
+            const has = Object.prototype.hasOwnProperty;
+            const seen = new Map();
+            const ids = new Map();
+            let nextId = 0;
+
+            // First pass: find objects that are referenced more than once
+            (function count(node) {
+                if (node === null || typeof node !== 'object') return;
+                if (seen.has(node)) {
+                    seen.set(node, seen.get(node) + 1);
+                    return;
+                }
+                seen.set(node, 1);
+                if (node instanceof Map) {
+                    node.forEach(function(v, k) {
+                        count(k);
+                        count(v);
+                    });
+                } else if (node instanceof Set) {
+                    node.forEach(count);
+                } else if (!ArrayBuffer.isView(node) && !(node instanceof ArrayBuffer) &&
+                    !(node instanceof Date) && !(node instanceof RegExp)) {
+                    Object.keys(node).forEach(function(key) {
+                        count(node[key]);
+                    });
+                }
+            }(value));
+
+            function tag(type, payload, node) {
+                const result = { $type: type };
+                if (node !== undefined && seen.get(node) > 1) {
+                    result.id = nextId;
+                    ids.set(node, nextId++);
+                }
+                if (payload !== undefined) {
+                    result.value = payload;
+                }
+                return result;
+            }
+
+            function encode(node) {
+                switch (typeof node) {
+                    case 'undefined':
+                        return { $type: 'undefined' };
+                    case 'bigint':
+                        return { $type: 'BigInt', value: node.toString() };
+                    case 'number':
+                        if (isNaN(node) || !isFinite(node) || (node === 0 && 1 / node < 0)) {
+                            return { $type: 'Number', value: Object.is(node, -0) ? '-0' : String(node) };
                         }
+                        return node;
+                    case 'function':
+                    case 'symbol':
+                        return undefined;
+                    case 'object':
+                        break;
+                    default:
+                        return node;
+                }
+
+                if (node === null) return null;
+                if (ids.has(node)) {
+                    return { $type: 'Ref', id: ids.get(node) };
+                }
+
+                if (node instanceof Date) {
+                    return tag('Date', isNaN(node.getTime()) ? null : node.getTime(), node);
+                }
+                if (node instanceof RegExp) {
+                    return tag('RegExp', { source: node.source, flags: node.flags }, node);
+                }
+                if (node instanceof Error) {
+                    return tag('Error', { name: node.name, message: node.message, stack: node.stack }, node);
+                }
+                if (node instanceof ArrayBuffer) {
+                    return tag('ArrayBuffer', Array.prototype.slice.call(new Uint8Array(node)), node);
+                }
+                if (node instanceof DataView) {
+                    const bytes = new Uint8Array(node.buffer, node.byteOffset, node.byteLength);
+                    return tag('DataView', Array.prototype.slice.call(bytes), node);
+                }
+                if (ArrayBuffer.isView(node)) {
+                    const items = Array.prototype.map.call(node, function(item) {
+                        return typeof item === 'bigint' ? item.toString() : item;
+                    });
+                    return tag(node.constructor.name, items, node);
+                }
+                if (node instanceof Map) {
+                    const tagged = tag('Map', undefined, node);
+                    tagged.value = [];
+                    node.forEach(function(v, k) {
+                        tagged.value.push([encode(k), encode(v)]);
+                    });
+                    return tagged;
+                }
+                if (node instanceof Set) {
+                    const tagged = tag('Set', undefined, node);
+                    tagged.value = [];
+                    node.forEach(function(v) {
+                        tagged.value.push(encode(v));
+                    });
+                    return tagged;
+                }
+
+                if (Array.isArray(node)) {
+                    const shared = seen.get(node) > 1 ? tag('Array', undefined, node) : null;
+                    const items = node.map(function(item) {
+                        const encoded = encode(item);
+                        return encoded === undefined ? null : encoded;
+                    });
+                    if (shared) {
+                        shared.value = items;
+                        return shared;
                     }
-                    return [value];
-                
-                case 'object':
-                    if (value === null || value === undefined) return {};
-                    if (typeof value === 'object') return value;
-                    if (typeof value === 'string') {
-                        try {
-                            return JSON.parse(value);
-                        } catch (e) {
-                            return { value: value };
+                    return items;
+                }
+
+                const wrapper = seen.get(node) > 1 || has.call(node, '$type') ? tag('Object', undefined, node) : null;
+                const result = {};
+                for (const key in node) {
+                    if (has.call(node, key)) {
+                        const encoded = encode(node[key]);
+                        if (encoded !== undefined) {
+                            result[key] = encoded;
                         }
                     }
-                    return { value: value };
-                
-                default:
-                    return value;
+                }
+                if (wrapper) {
+                    wrapper.value = result;
+                    return wrapper;
+                }
+                return result;
             }
+
+            return encode(value);
         },
 
         /**
-         * Create a pipeline of transformations
-         * @param {...Function} functions - The transformation functions
-         * @returns {Function} Combined transformation function
+         * Decode a tree produced by toTagged back into rich values
+         * @param {*} tree - The tagged tree (e.g. from JSON.parse)
+         * @returns {*} Revived value
          */
-        pipe: function() {
-            const functions = Array.prototype.slice.call(arguments);
-            
-            return function(value) {
-                return functions.reduce(function(acc, fn) {
-                    return fn(acc);
-                }, value);
-            };
+        fromTagged: function(tree) {
+            const has = Object.prototype.hasOwnProperty;
+            const refs = {};
+            const root = typeof globalThis !== 'undefined' ? globalThis : {};
+
+            function register(tagged, value) {
+                if (tagged.id !== undefined) {
+                    refs[tagged.id] = value;
+                }
+                return value;
+            }
+
+            function decode(node) {
+                if (node === null || typeof node !== 'object') return node;
+
+                if (Array.isArray(node)) {
+                    return node.map(decode);
+                }
+
+                if (typeof node.$type !== 'string') {
+                    const result = {};
+                    for (const key in node) {
+                        if (has.call(node, key)) {
+                            result[key] = decode(node[key]);
+                        }
+                    }
+                    return result;
+                }
+
+                const payload = node.value;
+
+                switch (node.$type) {
+                    case 'undefined':
+                        return undefined;
+                    case 'Number':
+                        return payload === '-0' ? -0 : Number(payload);
+                    case 'BigInt':
+                        return BigInt(payload);
+                    case 'Ref':
+                        if (!has.call(refs, node.id)) {
+                            throw new Error('Unknown reference id: ' + node.id);
+                        }
+                        return refs[node.id];
+                    case 'Date':
+                        return register(node, new Date(payload === null ? NaN : payload));
+                    case 'RegExp':
+                        return register(node, new RegExp(payload.source, payload.flags));
+                    case 'Error': {
+                        const error = new Error(payload.message);
+                        error.name = payload.name;
+                        error.stack = payload.stack;
+                        return register(node, error);
+                    }
+                    case 'ArrayBuffer':
+                        return register(node, new Uint8Array(payload).buffer);
+                    case 'DataView':
+                        return register(node, new DataView(new Uint8Array(payload).buffer));
+                    case 'Map': {
+                        const map = register(node, new Map());
+                        payload.forEach(function(entry) {
+                            map.set(decode(entry[0]), decode(entry[1]));
+                        });
+                        return map;
+                    }
+                    case 'Set': {
+                        const set = register(node, new Set());
+                        payload.forEach(function(item) {
+                            set.add(decode(item));
+                        });
+                        return set;
+                    }
+                    case 'Array': {
+                        const array = register(node, []);
+                        payload.forEach(function(item) {
+                            array.push(decode(item));
+                        });
+                        return array;
+                    }
+                    case 'Object': {
+                        const object = register(node, {});
+                        for (const key in payload) {
+                            if (has.call(payload, key)) {
+                                object[key] = decode(payload[key]);
+                            }
+                        }
+                        return object;
+                    }
+                    default:
+                        if (/Array$/.test(node.$type) && typeof root[node.$type] === 'function' && Array.isArray(payload)) {
+                            const isBig = /^Big/.test(node.$type);
+                            return register(node, new root[node.$type](payload.map(function(item) {
+                                return isBig ? BigInt(item) : item;
+                            })));
+                        }
+                        throw new Error('Unknown tagged type: ' + node.$type);
+                }
+            }
+
+            return decode(tree);
         },
 
         /**
-         * Extract specific fields from objects
-         * @param {Array} array - The array of objects
-         * @param {...string} keys - The keys to extract
-         * @returns {Array} Array with only specified keys
+         * Parse CSV text (RFC 4180)
+         * @param {string} text - The CSV text
+         * @param {Object} options - Options:
+         *   delimiter (default ','), header (default true, map rows to objects),
+         *   inferTypes (convert canonical numbers and booleans via convertType), types (column -> convertType target),
+         *   skipEmptyLines (default true)
+         * @returns {Array} Array of objects (header mode) or array of row arrays
          */
-        pluck: function(array) {
-            if (!Array.isArray(array)) {
-                throw new Error('Input must be an array');
+        parseCSV: function(text, options) {
+            if (typeof text !== 'string') {
+                throw new Error('Input must be a string');
             }
-            
-            const keys = Array.prototype.slice.call(arguments, 1);
-            
-            if (keys.length === 0) {
-                return array;
+
+            const self = this;
+            const opts = options || {};
+            const delimiter = opts.delimiter || ',';
+            const header = opts.header !== false;
+            const skipEmptyLines = opts.skipEmptyLines !== false;
+            const types = opts.types || {};
+
+            if (text.charCodeAt(0) === 0xFEFF) {
+                text = text.slice(1);
             }
-            
-            return array.map(function(item) {
-                const result = {};
-                for (let i = 0; i < keys.length; i++) {
-                    if (item.hasOwnProperty(keys[i])) {
-                        result[keys[i]] = item[keys[i]];
+
+            const rows = [];
+            let row = [];
+            let field = '';
+            let inQuotes = false;
+            let quotedRow = false;
+            let i = 0;
+
+            function endRow() {
+                row.push(field);
+                field = '';
+                if (!skipEmptyLines || quotedRow || row.length > 1 || row[0] !== '') {
+                    rows.push(row);
+                }
+                row = [];
+                quotedRow = false;
+            }
+
+            while (i < text.length) {
+                const char = text[i];
+
+                if (inQuotes) {
+                    if (char === '"') {
+                        if (text[i + 1] === '"') {
+                            field += '"';
+                            i++;
+                        } else {
+                            inQuotes = false;
+                        }
+                    } else {
+                        field += char;
+                    }
+                } else if (char === '"' && field === '') {
+                    inQuotes = true;
+                    quotedRow = true;
+                } else if (text.substr(i, delimiter.length) === delimiter) {
+                    row.push(field);
+                    field = '';
+                    i += delimiter.length;
+                    continue;
+                } else if (char === '\r' || char === '\n') {
+                    if (char === '\r' && text[i + 1] === '\n') {
+                        i++;
                     }
+                    endRow();
+                } else {
+                    field += char;
                 }
-                return result;
+                i++;
+            }
+
+            if (inQuotes) {
+                throw new Error('Unterminated quoted field in CSV at row ' + (rows.length + 1));
+            }
+            if (field !== '' || row.length > 0 || quotedRow) {
+                endRow();
+            }
+
+            function convert(value, column) {
+                const target = types[column];
+                if (target) {
+                    return self.convertType(value, target);
+                }
+                if (opts.inferTypes) {
+                    if (value === 'true' || value === 'false') {
+                        return self.convertType(value, 'boolean');
+                    }
+                    // Only canonical numbers, so zip codes ('00123') and hex ('0x10') stay strings
+                    if (value !== '' && String(Number(value)) === value) {
+                        return self.convertType(value, 'number');
+                    }
+                }
+                return value;
+            }
+
+            if (!header) {
+                return rows.map(function(cells) {
+                    return cells.map(function(value, index) {
+                        return convert(value, index);
+                    });
+                });
+            }
+
+            const columns = rows.shift() || [];
+            return rows.map(function(cells) {
+                const record = {};
+                for (let c = 0; c < columns.length; c++) {
+                    record[columns[c]] = convert(cells[c] !== undefined ? cells[c] : '', columns[c]);
+                }
+                return record;
             });
         },
 
         /**
-         * Reduce data to a single value
-         * @param {Array} array - The array to reduce
-         * @param {Function} callback - The reduce callback
-         * @param {*} initialValue - The initial value
-         * @returns {*} The reduced value
+         * Generate CSV text (RFC 4180)
+         * @param {Array} data - Array of objects or array of row arrays
+         * @param {Object} options - Options:
+         *   columns (keys to export, default: all keys in order of appearance), header (default true),
+         *   delimiter (default ','), newline (default '\r\n'), bom (prefix a UTF-8 BOM for Excel)
+         * @returns {string} CSV text, ready for Utils.downloadFile(csv, 'export.csv', 'text/csv;charset=utf-8')
          */
-        reduce: function(array, callback, initialValue) {
-            if (!Array.isArray(array)) {
+        toCSV: function(data, options) {
+            if (!Array.isArray(data)) {
                 throw new Error('Input must be an array');
             }
-            return array.reduce(callback, initialValue);
-        }
-    };
 
-    /**
-     * ==========================================
-     * MODULE 2: SMART LOGGER
-     * ==========================================
-     */
-    OmniHelper.Log = {
+            const self = this;
+            const opts = options || {};
+            const delimiter = opts.delimiter || ',';
+            const newline = opts.newline || '\r\n';
+            const lines = [];
+
+            function formatField(value) {
+                if (value === null || value === undefined) return '';
+                if (value instanceof Date) {
+                    value = isNaN(value.getTime()) ? '' : value.toISOString();
+                }
+                const str = self.convertType(value, 'string');
+                if (str.indexOf(delimiter) !== -1 || /["\r\n]/.test(str) || str.trim() !== str) {
+                    return '"' + str.replace(/"/g, '""') + '"';
+                }
+                return str;
+            }
+
+            function formatRow(cells) {
+                return cells.map(formatField).join(delimiter);
+            }
+
+            const rowsAreArrays = data.length > 0 && Array.isArray(data[0]);
+
+            if (rowsAreArrays) {
+                if (opts.columns && opts.header !== false) {
+                    lines.push(formatRow(opts.columns));
+                }
+                data.forEach(function(cells) {
+                    lines.push(formatRow(cells));
+                });
+            } else {
+                let columns = opts.columns;
+                if (!columns) {
+                    columns = [];
+                    data.forEach(function(item) {
+                        for (const key in item) {
+                            if (item.hasOwnProperty(key) && columns.indexOf(key) === -1) {
+                                columns.push(key);
+                            }
+                        }
+                    });
+                }
+                if (opts.header !== false) {
+                    lines.push(formatRow(columns));
+                }
+                data.forEach(function(item) {
+                    lines.push(formatRow(columns.map(function(key) {
+                        return item === null || item === undefined ? undefined : item[key];
+                    })));
+                });
+            }
+
+            return (opts.bom ? '\uFEFF' : '') + lines.join(newline);
+        },
+
+        // Conversion targets for convertType, keyed by lowercase type name.
+        // Each converter is called with (value, options, fail) and `this` bound to Data;
+        // fail(reason, fallback) throws a ConversionError in strict mode and returns fallback otherwise.
+        // The fallbacks keep the results convertType gave before strict mode existed.
+        converters: {
+            string: function(value) {
+                if (value === null || value === undefined) return '';
+                if (Array.isArray(value)) return JSON.stringify(value);
+                if (typeof value === 'object') return JSON.stringify(value);
+                return String(value);
+            },
+
+            number: function(value, options, fail) {
+                if (typeof value === 'number') {
+                    return isNaN(value) ? fail('is not a number', 0) : value;
+                }
+                if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+                    return options.strict ? fail('is empty') : Number(value) || 0;
+                }
+                if (options.strict && typeof value !== 'string' && typeof value !== 'bigint' && !(value instanceof Date)) {
+                    return fail('cannot be converted to a number');
+                }
+                const num = Number(value);
+                return isNaN(num) ? fail('is not a number', 0) : num;
+            },
+
+            integer: function(value, options, fail) {
+                const num = this.converters.number.call(this, value, options, fail);
+                if (!isFinite(num)) return fail('is not a finite number', 0);
+                return Math.trunc(num) === num ? num : fail('is not an integer', Math.trunc(num));
+            },
+
+            boolean: function(value, options, fail) {
+                if (typeof value === 'boolean') return value;
+                if (value === 'true' || value === '1' || value === 1) return true;
+                if (value === 'false' || value === '0' || value === 0) return false;
+                return fail('is not a boolean', Boolean(value));
+            },
+
+            date: function(value, options, fail) {
+                if (value instanceof Date) {
+                    return isNaN(value.getTime()) ? fail('is an invalid date', null) : new Date(value.getTime());
+                }
+                if (typeof value === 'number') {
+                    return new Date(value);
+                }
+                if (typeof value === 'string') {
+                    const iso = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+                    const trimmed = value.trim();
+                    if (options.strict && !iso.test(trimmed)) {
+                        return fail('is not an ISO 8601 date');
+                    }
+                    const parsed = new Date(iso.test(trimmed) ? trimmed.replace(' ', 'T') : trimmed);
+                    return isNaN(parsed.getTime()) ? fail('is an invalid date', null) : parsed;
+                }
+                return fail('cannot be converted to a date', null);
+            },
+
+            array: function(value, options, fail) {
+                let result;
+                if (Array.isArray(value)) {
+                    result = value;
+                } else if (value === null || value === undefined) {
+                    result = [];
+                } else if (typeof value === 'string') {
+                    const separator = options.separator || ',';
+                    let parsed;
+                    let isJSON = true;
+                    try {
+                        parsed = JSON.parse(value);
+                    } catch (e) {
+                        isJSON = false;
+                    }
+                    if (isJSON) {
+                        // JSON text is returned as parsed, arrays or not
+                        result = Array.isArray(parsed) ? parsed : fail('is JSON but not an array', parsed);
+                    } else if (value.indexOf(separator) !== -1) {
+                        result = value.split(separator).map(function(part) {
+                            return part.trim();
+                        });
+                    } else {
+                        result = [value];
+                    }
+                } else {
+                    result = [value];
+                }
+
+                if (options.of && Array.isArray(result)) {
+                    const self = this;
+                    const itemOptions = Object.assign({}, options, { of: undefined });
+                    result = result.map(function(item) {
+                        return self.convertType(item, options.of, itemOptions);
+                    });
+                }
+                return result;
+            },
+
+            object: function(value, options, fail) {
+                if (value === null || value === undefined) return {};
+                if (typeof value === 'object') return value;
+                if (typeof value === 'string') {
+                    let parsed;
+                    try {
+                        parsed = JSON.parse(value);
+                    } catch (e) {
+                        return fail('is not JSON', { value: value });
+                    }
+                    return parsed !== null && typeof parsed === 'object' ? parsed : fail('is JSON but not an object', parsed);
+                }
+                return fail('cannot be converted to an object', { value: value });
+            },
+
+            enum: function(value, options, fail) {
+                const values = options.values || [];
+                if (values.indexOf(value) !== -1) return value;
+                if (typeof value === 'string' && !options.strict) {
+                    const lower = value.trim().toLowerCase();
+                    for (let i = 0; i < values.length; i++) {
+                        if (String(values[i]).toLowerCase() === lower) return values[i];
+                    }
+                }
+                return fail('is not one of: ' + values.join(', '), options.default);
+            },
+
+            bigint: function(value, options, fail) {
+                if (typeof value === 'bigint') return value;
+                try {
+                    if (typeof value === 'number' && Math.trunc(value) !== value) {
+                        throw new RangeError('not an integer');
+                    }
+                    return BigInt(typeof value === 'string' ? value.trim() : value);
+                } catch (e) {
+                    return fail('cannot be converted to a bigint', null);
+                }
+            },
+
+            uuid: function(value, options, fail) {
+                const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+                if (typeof value === 'string' && uuid.test(value.trim())) {
+                    return value.trim().toLowerCase();
+                }
+                return fail('is not a UUID', null);
+            }
+        },
+
+        /**
+         * Register a custom conversion target for convertType
+         * @param {string} name - The type name (case-insensitive)
+         * @param {Function} converter - function(value, options, fail) returning the converted value;
+         *   call fail(reason, fallback) when the value cannot be converted
+         * @returns {Object} The Data module (for chaining)
+         */
+        registerType: function(name, converter) {
+            if (typeof name !== 'string' || name === '') {
+                throw new Error('Type name must be a non-empty string');
+            }
+            if (typeof converter !== 'function') {
+                throw new Error('Converter must be a function');
+            }
+            this.converters[name.toLowerCase()] = converter;
+            return this;
+        },
+
+        /**
+         * Create a conversion error
+         * @param {*} value - The value that failed to convert
+         * @param {string} targetType - The target type
+         * @param {string} reason - Why the conversion failed
+         * @returns {TypeError} Error with name 'ConversionError' and value/targetType properties
+         */
+        conversionError: function(value, targetType, reason) {
+            let shown;
+            try {
+                shown = typeof value === 'string' ? JSON.stringify(value) : String(value);
+            } catch (e) {
+                shown = Object.prototype.toString.call(value);
+            }
+            const error = new TypeError('Cannot convert ' + shown + ' to ' + targetType + ': value ' + reason);
+            error.name = 'ConversionError';
+            error.value = value;
+            error.targetType = targetType;
+            error.reason = reason;
+            return error;
+        },
+
+        /**
+         * Convert a value to a specific type
+         * @param {*} value - The value to convert
+         * @param {string} targetType - The target type ('string', 'number', 'integer', 'boolean', 'date',
+         *   'array', 'object', 'enum', 'bigint', 'uuid' or a type added with registerType)
+         * @param {Object} options - Options:
+         *   strict (throw a ConversionError instead of falling back to a default value),
+         *   separator (list separator for 'array', default ','), of (item type for 'array'),
+         *   values (allowed values for 'enum'), default (fallback for 'enum')
+         * @returns {*} Converted value
+         */
+        convertType: function(value, targetType, options) {
+            const self = this;
+            const opts = options || {};
+            const type = targetType.toLowerCase();
+            const converter = this.converters.hasOwnProperty(type) ? this.converters[type] : null;
+
+            if (!converter) {
+                if (opts.strict) {
+                    throw this.conversionError(value, targetType, 'has an unknown target type');
+                }
+                return value;
+            }
+
+            function fail(reason, fallback) {
+                if (opts.strict) {
+                    throw self.conversionError(value, type, reason);
+                }
+                return fallback;
+            }
+
+            return converter.call(this, value, opts, fail);
+        },
+
+        /**
+         * Create a pipeline of transformations
+         * @param {...Function} functions - The transformation functions
+         * @returns {Function} Combined transformation function
+         */
+        pipe: function() {
+            const functions = Array.prototype.slice.call(arguments);
+            
+            return function(value) {
+                return functions.reduce(function(acc, fn) {
+                    return fn(acc);
+                }, value);
+            };
+        },
+
+        /**
+         * Create a pipeline of (possibly async) transformations
+         *
+         * Each stage is a function or { name, fn, timeout }. A plain object passed as
+         * the last argument sets pipeline options: timeout (default per-stage timeout
+         * in ms) and tap (true to log every stage result with Log.debug, or a
+         * function(value, { index, name })). A failing stage rejects with an error
+         * carrying stage, stageName, input and cause.
+         *
+         * @param {...Function|Object} stages - The stages, optionally followed by options
+         * @returns {Function} Function returning a Promise of the final value
+         */
+        pipeAsync: function() {
+            const args = Array.prototype.slice.call(arguments);
+            const last = args[args.length - 1];
+            const options = last && typeof last === 'object' && typeof last.fn !== 'function' ? args.pop() : {};
+
+            const stages = args.map(function(stage, index) {
+                const fn = typeof stage === 'function' ? stage : stage && stage.fn;
+                if (typeof fn !== 'function') {
+                    throw new Error('Pipeline stage ' + index + ' must be a function');
+                }
+                return {
+                    fn: fn,
+                    name: (stage.name && typeof stage.name === 'string' ? stage.name : fn.name) || 'anonymous',
+                    timeout: stage.timeout !== undefined ? stage.timeout : options.timeout
+                };
+            });
+
+            function stageError(index, input, message, cause) {
+                const stage = stages[index];
+                const error = new Error('Pipeline stage ' + index + ' ("' + stage.name + '") ' + message);
+                error.stage = index;
+                error.stageName = stage.name;
+                error.input = input;
+                error.cause = cause;
+                return error;
+            }
+
+            function runStage(index, input) {
+                const stage = stages[index];
+
+                return new Promise(function(resolve, reject) {
+                    let timer = null;
+                    if (stage.timeout > 0) {
+                        timer = setTimeout(function() {
+                            reject(stageError(index, input, 'timed out after ' + stage.timeout + 'ms'));
+                        }, stage.timeout);
+                    }
+
+                    Promise.resolve()
+                        .then(function() {
+                            return stage.fn(input);
+                        })
+                        .then(function(result) {
+                            clearTimeout(timer);
+                            resolve(result);
+                        }, function(cause) {
+                            clearTimeout(timer);
+                            reject(stageError(index, input, 'failed: ' + (cause && cause.message ? cause.message : cause), cause));
+                        });
+                });
+            }
+
+            function tap(value, index) {
+                const info = { index: index, name: stages[index].name };
+                if (typeof options.tap === 'function') {
+                    options.tap(value, info);
+                } else if (options.tap) {
+                    OmniHelper.Log.debug('pipeAsync stage ' + index + ' (' + info.name + ')', value);
+                }
+            }
+
+            return function(value) {
+                return stages.reduce(function(promise, stage, index) {
+                    return promise.then(function(acc) {
+                        return runStage(index, acc).then(function(result) {
+                            tap(result, index);
+                            return result;
+                        });
+                    });
+                }, Promise.resolve(value));
+            };
+        },
+
+        /**
+         * Extract specific fields from objects
+         * @param {Array} array - The array of objects
+         * @param {...string} keys - The keys to extract
+         * @returns {Array} Array with only specified keys
+         */
+        pluck: function(array) {
+            if (!Array.isArray(array)) {
+                throw new Error('Input must be an array');
+            }
+            
+            const keys = Array.prototype.slice.call(arguments, 1);
+            
+            if (keys.length === 0) {
+                return array;
+            }
+            
+            return array.map(function(item) {
+                const result = {};
+                for (let i = 0; i < keys.length; i++) {
+                    if (item.hasOwnProperty(keys[i])) {
+                        result[keys[i]] = item[keys[i]];
+                    }
+                }
+                return result;
+            });
+        },
+
+        /**
+         * Reduce data to a single value
+         * @param {Array} array - The array to reduce
+         * @param {Function} callback - The reduce callback
+         * @param {*} initialValue - The initial value
+         * @returns {*} The reduced value
+         */
+        reduce: function(array, callback, initialValue) {
+            if (!Array.isArray(array)) {
+                throw new Error('Input must be an array');
+            }
+            return array.reduce(callback, initialValue);
+        },
+
+        /**
+         * Resolve a key against an item
+         * @param {*} item - The item
+         * @param {string|Function} key - A property name, a dotted path ('user.name') or a function
+         * @returns {*} The resolved value
+         */
+        resolveKey: function(item, key) {
+            if (typeof key === 'function') {
+                return key(item);
+            }
+            if (item === null || item === undefined) {
+                return undefined;
+            }
+            if (typeof key === 'string' && key.indexOf('.') !== -1 && !(key in Object(item))) {
+                const parts = key.split('.');
+                let current = item;
+                for (let i = 0; i < parts.length; i++) {
+                    if (current === null || current === undefined) {
+                        return undefined;
+                    }
+                    current = current[parts[i]];
+                }
+                return current;
+            }
+            return item[key];
+        },
+
+        /**
+         * Test an item against a where-criteria object
+         *
+         * Supported operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $regex,
+         * $exists, $and, $or, $not. Plain values are compared for equality.
+         *
+         * @param {*} item - The item to test
+         * @param {Object} criteria - The criteria ({ age: { $gt: 18 }, 'user.city': 'Cairo' })
+         * @returns {boolean} Whether the item matches
+         */
+        matches: function(item, criteria) {
+            const self = this;
+
+            function isOperatorObject(value) {
+                if (value === null || typeof value !== 'object' || Array.isArray(value) ||
+                    value instanceof Date || value instanceof RegExp) {
+                    return false;
+                }
+                const keys = Object.keys(value);
+                return keys.length > 0 && keys.every(function(k) {
+                    return k.charAt(0) === '$';
+                });
+            }
+
+            function compare(a, b) {
+                if (a instanceof Date) a = a.getTime();
+                if (b instanceof Date) b = b.getTime();
+                return { a: a, b: b };
+            }
+
+            function equals(a, b) {
+                if (b instanceof RegExp) {
+                    return typeof a === 'string' && b.test(a);
+                }
+                const pair = compare(a, b);
+                return pair.a === pair.b;
+            }
+
+            function testOperators(value, ops) {
+                for (const op in ops) {
+                    if (!ops.hasOwnProperty(op)) continue;
+                    const arg = ops[op];
+                    const pair = compare(value, arg);
+
+                    switch (op) {
+                        case '$eq':
+                            if (!equals(value, arg)) return false;
+                            break;
+                        case '$ne':
+                            if (equals(value, arg)) return false;
+                            break;
+                        case '$gt':
+                            if (!(value !== null && value !== undefined && pair.a > pair.b)) return false;
+                            break;
+                        case '$gte':
+                            if (!(value !== null && value !== undefined && pair.a >= pair.b)) return false;
+                            break;
+                        case '$lt':
+                            if (!(value !== null && value !== undefined && pair.a < pair.b)) return false;
+                            break;
+                        case '$lte':
+                            if (!(value !== null && value !== undefined && pair.a <= pair.b)) return false;
+                            break;
+                        case '$in':
+                        case '$nin': {
+                            const list = Array.isArray(arg) ? arg : [arg];
+                            const values = Array.isArray(value) ? value : [value];
+                            const found = values.some(function(v) {
+                                return list.some(function(candidate) {
+                                    return equals(v, candidate);
+                                });
+                            });
+                            if (found !== (op === '$in')) return false;
+                            break;
+                        }
+                        case '$regex': {
+                            const regex = arg instanceof RegExp ? arg : new RegExp(arg, ops.$options || '');
+                            if (typeof value !== 'string' || !regex.test(value)) return false;
+                            break;
+                        }
+                        case '$options':
+                            break;
+                        case '$exists':
+                            if ((value !== undefined) !== Boolean(arg)) return false;
+                            break;
+                        case '$not':
+                            if (isOperatorObject(arg) ? testOperators(value, arg) : equals(value, arg)) return false;
+                            break;
+                        default:
+                            throw new Error('Unknown query operator: ' + op);
+                    }
+                }
+                return true;
+            }
+
+            if (typeof criteria === 'function') {
+                return Boolean(criteria(item));
+            }
+
+            for (const field in criteria) {
+                if (!criteria.hasOwnProperty(field)) continue;
+                const condition = criteria[field];
+
+                if (field === '$and') {
+                    if (!condition.every(function(sub) { return self.matches(item, sub); })) return false;
+                } else if (field === '$or') {
+                    if (!condition.some(function(sub) { return self.matches(item, sub); })) return false;
+                } else if (field === '$not') {
+                    if (self.matches(item, condition)) return false;
+                } else {
+                    const value = this.resolveKey(item, field);
+                    if (isOperatorObject(condition)) {
+                        if (!testOperators(value, condition)) return false;
+                    } else if (!equals(value, condition)) {
+                        return false;
+                    }
+                }
+            }
+            return true;
+        },
+
+        /**
+         * Create a lazy, chainable query over an array
+         *
+         * Steps are only evaluated by toArray(), first() or count(). Consecutive
+         * where/select/distinct/offset/limit steps run in a single pass and stop early
+         * once a limit is reached; orderBy and groupBy materialize the rows seen so far.
+         *
+         * @param {Array} array - The array to query
+         * @returns {Object} Query builder
+         * @example
+         * OmniHelper.Data.query(orders)
+         *     .where({ total: { $gt: 100 }, status: { $in: ['paid', 'shipped'] } })
+         *     .orderBy('total', 'desc')
+         *     .select('id', 'total')
+         *     .limit(10)
+         *     .toArray();
+         */
+        query: function(array) {
+            if (!Array.isArray(array)) {
+                throw new Error('Input must be an array');
+            }
+
+            const self = this;
+
+            function createQuery(steps) {
+                function addStep(step) {
+                    return createQuery(steps.concat([step]));
+                }
+
+                function runSegment(source, segment, cap) {
+                    const output = [];
+                    const state = segment.map(function() {
+                        return { seen: 0, keys: null };
+                    });
+
+                    for (let i = 0; i < source.length; i++) {
+                        let item = source[i];
+                        let keep = true;
+                        let exhausted = false;
+
+                        for (let s = 0; s < segment.length && keep; s++) {
+                            const step = segment[s];
+                            const st = state[s];
+
+                            switch (step.type) {
+                                case 'where':
+                                    keep = self.matches(item, step.criteria);
+                                    break;
+                                case 'select':
+                                    item = step.mapper(item);
+                                    break;
+                                case 'distinct': {
+                                    const key = step.key !== undefined
+                                        ? self.resolveKey(item, step.key)
+                                        : (item !== null && typeof item === 'object' ? self.serialize(item) : item);
+                                    st.keys = st.keys || new Set();
+                                    if (st.keys.has(key)) {
+                                        keep = false;
+                                    } else {
+                                        st.keys.add(key);
+                                    }
+                                    break;
+                                }
+                                case 'offset':
+                                    if (st.seen < step.count) {
+                                        st.seen++;
+                                        keep = false;
+                                    }
+                                    break;
+                                case 'limit':
+                                    if (st.seen >= step.count) {
+                                        keep = false;
+                                        exhausted = true;
+                                    } else {
+                                        st.seen++;
+                                    }
+                                    break;
+                            }
+                        }
+
+                        if (exhausted) break;
+                        if (keep) {
+                            output.push(item);
+                            if (cap !== undefined && output.length >= cap) break;
+                        }
+                    }
+                    return output;
+                }
+
+                function execute(cap) {
+                    let rows = array;
+                    let segment = [];
+
+                    for (let i = 0; i < steps.length; i++) {
+                        const step = steps[i];
+                        if (step.type === 'orderBy' || step.type === 'groupBy') {
+                            if (segment.length > 0) {
+                                rows = runSegment(rows, segment);
+                                segment = [];
+                            }
+                            if (step.type === 'orderBy') {
+                                rows = self.sortBy(rows, step.keys, step.orders, step.options);
+                            } else {
+                                const groups = new Map();
+                                for (let r = 0; r < rows.length; r++) {
+                                    const key = self.resolveKey(rows[r], step.key);
+                                    if (!groups.has(key)) {
+                                        groups.set(key, []);
+                                    }
+                                    groups.get(key).push(rows[r]);
+                                }
+                                rows = [];
+                                groups.forEach(function(items, key) {
+                                    rows.push({ key: key, items: items });
+                                });
+                            }
+                        } else {
+                            segment.push(step);
+                        }
+                    }
+
+                    if (segment.length > 0 || cap !== undefined) {
+                        rows = runSegment(rows, segment, cap);
+                    } else if (rows === array) {
+                        rows = array.slice();
+                    }
+                    return rows;
+                }
+
+                return {
+                    /**
+                     * Keep rows matching a criteria object or predicate function
+                     */
+                    where: function(criteria) {
+                        if (criteria === null || (typeof criteria !== 'object' && typeof criteria !== 'function')) {
+                            throw new Error('Where criteria must be an object or a function');
+                        }
+                        return addStep({ type: 'where', criteria: criteria });
+                    },
+
+                    /**
+                     * Sort rows (see sortBy for options); consecutive calls add secondary sort keys
+                     */
+                    orderBy: function(key, order, options) {
+                        const keys = Array.isArray(key) ? key : [key];
+                        const orders = Array.isArray(order) ? order : keys.map(function() {
+                            return order || 'asc';
+                        });
+                        const last = steps[steps.length - 1];
+                        if (last && last.type === 'orderBy') {
+                            return createQuery(steps.slice(0, -1).concat([{
+                                type: 'orderBy',
+                                keys: last.keys.concat(keys),
+                                orders: last.orders.concat(orders),
+                                options: Object.assign({}, last.options, options)
+                            }]));
+                        }
+                        return addStep({ type: 'orderBy', keys: keys, orders: orders, options: options });
+                    },
+
+                    /**
+                     * Group rows into { key, items } records, keeping key types
+                     */
+                    groupBy: function(key) {
+                        return addStep({ type: 'groupBy', key: key });
+                    },
+
+                    /**
+                     * Project rows with a mapper function or a list of keys
+                     */
+                    select: function(fields) {
+                        if (typeof fields === 'function') {
+                            return addStep({ type: 'select', mapper: fields });
+                        }
+                        const keys = Array.isArray(fields) ? fields : Array.prototype.slice.call(arguments);
+                        return addStep({
+                            type: 'select',
+                            mapper: function(item) {
+                                const result = {};
+                                for (let k = 0; k < keys.length; k++) {
+                                    result[keys[k]] = self.resolveKey(item, keys[k]);
+                                }
+                                return result;
+                            }
+                        });
+                    },
+
+                    /**
+                     * Keep at most `count` rows
+                     */
+                    limit: function(count) {
+                        return addStep({ type: 'limit', count: Math.max(0, count) });
+                    },
+
+                    /**
+                     * Skip the first `count` rows
+                     */
+                    offset: function(count) {
+                        return addStep({ type: 'offset', count: Math.max(0, count) });
+                    },
+
+                    /**
+                     * Drop duplicate rows (by key/function, or by value)
+                     */
+                    distinct: function(key) {
+                        return addStep({ type: 'distinct', key: key });
+                    },
+
+                    /**
+                     * Evaluate the query
+                     * @returns {Array} Resulting rows
+                     */
+                    toArray: function() {
+                        return execute();
+                    },
+
+                    /**
+                     * Evaluate the query up to the first result
+                     * @returns {*} First row or undefined
+                     */
+                    first: function() {
+                        return execute(1)[0];
+                    },
+
+                    /**
+                     * Evaluate the query and count the results
+                     * @returns {number} Number of rows
+                     */
+                    count: function() {
+                        return execute().length;
+                    }
+                };
+            }
+
+            return createQuery([]);
+        },
+
+        /**
+         * Compile a schema definition for reuse with validate()
+         * @param {Object|string} definition - The schema definition (or a type name shorthand)
+         * @returns {Object} Compiled schema with a validate(value, options) method
+         */
+        schema: function(definition) {
+            const self = this;
+            const compiled = {
+                isSchema: true,
+                definition: this.normalizeSchema(definition),
+                validate: function(value, options) {
+                    return self.validate(value, compiled, options);
+                }
+            };
+            return compiled;
+        },
+
+        /**
+         * Normalize a schema definition (expand shorthands, check types)
+         * @param {Object|string} definition - The schema definition
+         * @returns {Object} Normalized definition
+         */
+        normalizeSchema: function(definition) {
+            if (definition && definition.isSchema) {
+                return definition.definition;
+            }
+            if (typeof definition === 'string') {
+                definition = { type: definition };
+            }
+            if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+                throw new Error('Schema definition must be an object or a type name');
+            }
+
+            const types = ['any', 'string', 'number', 'integer', 'boolean', 'array', 'object'];
+            const normalized = {};
+            for (const key in definition) {
+                if (definition.hasOwnProperty(key)) {
+                    normalized[key] = definition[key];
+                }
+            }
+            normalized.type = (normalized.type || 'any').toLowerCase();
+
+            if (types.indexOf(normalized.type) === -1) {
+                throw new Error('Unknown schema type: ' + normalized.type);
+            }
+            if (normalized.items !== undefined) {
+                normalized.items = this.normalizeSchema(normalized.items);
+            }
+            if (normalized.properties !== undefined) {
+                const properties = {};
+                for (const prop in normalized.properties) {
+                    if (normalized.properties.hasOwnProperty(prop)) {
+                        properties[prop] = this.normalizeSchema(normalized.properties[prop]);
+                    }
+                }
+                normalized.properties = properties;
+            }
+            if (typeof normalized.pattern === 'string') {
+                normalized.pattern = new RegExp(normalized.pattern);
+            }
+            return normalized;
+        },
+
+        /**
+         * Validate (and optionally coerce) a value against a schema
+         *
+         * Schema keys: type, required, default, properties, items, enum, min, max,
+         * pattern, unknown ('allow', 'strip' or 'error'), coerce and check (a function
+         * returning true, false or an error message).
+         *
+         * @param {*} value - The value to validate
+         * @param {Object|string} schema - Schema definition or compiled schema
+         * @param {Object} options - Options ({ coerce: boolean, abortEarly: boolean })
+         * @returns {Object} { valid, value, errors } where errors are { path, message } entries
+         */
+        validate: function(value, schema, options) {
+            const self = this;
+            const opts = options || {};
+            const errors = [];
+
+            function joinPath(base, key) {
+                if (typeof key === 'number') {
+                    return base + '[' + key + ']';
+                }
+                return base ? base + '.' + key : key;
+            }
+
+            function report(path, message) {
+                errors.push({
+                    path: path,
+                    message: message,
+                    toString: function() {
+                        return path ? path + ': ' + message : message;
+                    }
+                });
+            }
+
+            function checkBounds(def, size, path, what) {
+                if (def.min !== undefined && size < def.min) {
+                    report(path, what + ' must be at least ' + def.min);
+                }
+                if (def.max !== undefined && size > def.max) {
+                    report(path, what + ' must be at most ' + def.max);
+                }
+            }
+
+            function walk(val, def, path) {
+                if (opts.abortEarly && errors.length > 0) {
+                    return val;
+                }
+
+                if (val === undefined || val === null) {
+                    if (def.default !== undefined) {
+                        val = typeof def.default === 'function' ? def.default() : def.default;
+                    } else {
+                        if (def.required) {
+                            report(path, 'is required');
+                        }
+                        return val;
+                    }
+                }
+
+                if (def.coerce !== undefined ? def.coerce : opts.coerce) {
+                    val = self.coerceForSchema(val, def.type);
+                }
+
+                const startCount = errors.length;
+
+                switch (def.type) {
+                    case 'string':
+                        if (typeof val !== 'string') {
+                            report(path, 'expected string');
+                            return val;
+                        }
+                        checkBounds(def, val.length, path, 'length');
+                        if (def.pattern && !def.pattern.test(val)) {
+                            report(path, 'does not match pattern ' + def.pattern);
+                        }
+                        break;
+
+                    case 'number':
+                    case 'integer':
+                        if (typeof val !== 'number' || isNaN(val)) {
+                            report(path, 'expected ' + def.type);
+                            return val;
+                        }
+                        if (def.type === 'integer' && Math.floor(val) !== val) {
+                            report(path, 'expected integer');
+                            return val;
+                        }
+                        checkBounds(def, val, path, 'value');
+                        break;
+
+                    case 'boolean':
+                        if (typeof val !== 'boolean') {
+                            report(path, 'expected boolean');
+                            return val;
+                        }
+                        break;
+
+                    case 'array':
+                        if (!Array.isArray(val)) {
+                            report(path, 'expected array');
+                            return val;
+                        }
+                        checkBounds(def, val.length, path, 'length');
+                        if (def.items) {
+                            val = val.map(function(item, index) {
+                                return walk(item, def.items, joinPath(path, index));
+                            });
+                        }
+                        break;
+
+                    case 'object':
+                        if (val === null || typeof val !== 'object' || Array.isArray(val)) {
+                            report(path, 'expected object');
+                            return val;
+                        }
+                        if (def.properties) {
+                            const result = {};
+                            const unknown = def.unknown || 'allow';
+                            for (const key in val) {
+                                if (val.hasOwnProperty(key) && !def.properties.hasOwnProperty(key)) {
+                                    if (unknown === 'error') {
+                                        report(joinPath(path, key), 'is not allowed');
+                                    } else if (unknown !== 'strip') {
+                                        result[key] = val[key];
+                                    }
+                                }
+                            }
+                            for (const prop in def.properties) {
+                                if (def.properties.hasOwnProperty(prop)) {
+                                    const propValue = walk(val[prop], def.properties[prop], joinPath(path, prop));
+                                    if (propValue !== undefined || val.hasOwnProperty(prop)) {
+                                        result[prop] = propValue;
+                                    }
+                                }
+                            }
+                            val = result;
+                        }
+                        break;
+                }
+
+                if (def.enum && def.enum.indexOf(val) === -1) {
+                    report(path, 'must be one of: ' + def.enum.join(', '));
+                }
+
+                if (typeof def.check === 'function' && errors.length === startCount) {
+                    const outcome = def.check(val, path);
+                    if (outcome === false) {
+                        report(path, def.message || 'is invalid');
+                    } else if (typeof outcome === 'string') {
+                        report(path, outcome);
+                    }
+                }
+
+                return val;
+            }
+
+            const result = walk(value, this.normalizeSchema(schema), '');
+
+            return {
+                valid: errors.length === 0,
+                value: errors.length === 0 ? result : undefined,
+                errors: errors
+            };
+        },
+
+        /**
+         * Coerce a value towards a schema type using convertType, leaving
+         * values that cannot be converted meaningfully untouched so they fail validation
+         * @param {*} value - The value to coerce
+         * @param {string} type - The schema type
+         * @returns {*} Coerced value
+         */
+        coerceForSchema: function(value, type) {
+            switch (type) {
+                case 'number':
+                case 'integer':
+                case 'boolean':
+                    if (typeof value === 'string' || typeof value === 'boolean' || typeof value === 'number') {
+                        try {
+                            return this.convertType(value, type === 'boolean' ? 'boolean' : 'number', { strict: true });
+                        } catch (e) {
+                            return value;
+                        }
+                    }
+                    return value;
+
+                case 'string':
+                    if (typeof value === 'number' || typeof value === 'boolean') {
+                        return this.convertType(value, 'string');
+                    }
+                    return value;
+
+                case 'array':
+                case 'object':
+                    if (typeof value === 'string') {
+                        try {
+                            return this.convertType(value, type, { strict: true });
+                        } catch (e) {
+                            return value;
+                        }
+                    }
+                    return value;
+
+                default:
+                    return value;
+            }
+        },
+
+        /**
+         * Convert a dotted path ('items.0.price', as used by Utils.get/Utils.set) to a JSON Pointer
+         * @param {string|Array} path - Dotted path or array of keys
+         * @returns {string} JSON Pointer ('/items/0/price')
+         */
+        toPointer: function(path) {
+            const keys = Array.isArray(path) ? path : (path === '' ? [] : String(path).split('.'));
+            return keys.map(function(key) {
+                return '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+            }).join('');
+        },
+
+        /**
+         * Convert a JSON Pointer to a dotted path usable with Utils.get/Utils.set
+         * @param {string} pointer - JSON Pointer
+         * @returns {string} Dotted path
+         */
+        fromPointer: function(pointer) {
+            return this.parsePointer(pointer).join('.');
+        },
+
+        /**
+         * Split a JSON Pointer (RFC 6901) into unescaped keys
+         * @param {string} pointer - JSON Pointer
+         * @returns {Array} Keys
+         */
+        parsePointer: function(pointer) {
+            if (pointer === '') return [];
+            if (typeof pointer !== 'string' || pointer.charAt(0) !== '/') {
+                throw new Error('Invalid JSON Pointer: ' + pointer);
+            }
+            return pointer.slice(1).split('/').map(function(token) {
+                return token.replace(/~1/g, '/').replace(/~0/g, '~');
+            });
+        },
+
+        /**
+         * Compute the differences between two values as JSON Patch (RFC 6902) operations
+         * @param {*} a - The original value
+         * @param {*} b - The new value
+         * @returns {Array} Operations (add, remove, replace, move) with JSON Pointer paths
+         */
+        diff: function(a, b) {
+            const self = this;
+            const ops = [];
+
+            function isEqual(x, y) {
+                return OmniHelper.Utils.isEqual(x, y);
+            }
+
+            function isPlainObject(value) {
+                return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+                    !(value instanceof Date) && !(value instanceof RegExp);
+            }
+
+            function diffObjects(x, y, path) {
+                const removed = [];
+                const added = [];
+
+                for (const key in x) {
+                    if (x.hasOwnProperty(key) && !y.hasOwnProperty(key)) {
+                        removed.push(key);
+                    }
+                }
+                for (const key in y) {
+                    if (y.hasOwnProperty(key) && !x.hasOwnProperty(key)) {
+                        added.push(key);
+                    }
+                }
+
+                // A removed key whose value reappears under an added key is a move
+                for (let i = removed.length - 1; i >= 0; i--) {
+                    for (let j = 0; j < added.length; j++) {
+                        if (isEqual(x[removed[i]], y[added[j]])) {
+                            ops.push({
+                                op: 'move',
+                                from: path + self.toPointer([removed[i]]),
+                                path: path + self.toPointer([added[j]])
+                            });
+                            removed.splice(i, 1);
+                            added.splice(j, 1);
+                            break;
+                        }
+                    }
+                }
+
+                removed.forEach(function(key) {
+                    ops.push({ op: 'remove', path: path + self.toPointer([key]) });
+                });
+                for (const key in x) {
+                    if (x.hasOwnProperty(key) && y.hasOwnProperty(key)) {
+                        walk(x[key], y[key], path + self.toPointer([key]));
+                    }
+                }
+                added.forEach(function(key) {
+                    ops.push({ op: 'add', path: path + self.toPointer([key]), value: y[key] });
+                });
+            }
+
+            function diffArrays(x, y, path) {
+                let start = 0;
+                while (start < x.length && start < y.length && isEqual(x[start], y[start])) {
+                    start++;
+                }
+                let endX = x.length;
+                let endY = y.length;
+                while (endX > start && endY > start && isEqual(x[endX - 1], y[endY - 1])) {
+                    endX--;
+                    endY--;
+                }
+
+                const lenX = endX - start;
+                const lenY = endY - start;
+
+                // A single element moved to the other end of the changed range
+                if (lenX === lenY && lenX >= 2) {
+                    const last = lenX - 1;
+                    if (isEqual(x[start], y[start + last]) &&
+                        isEqual(x.slice(start + 1, endX), y.slice(start, start + last))) {
+                        ops.push({ op: 'move', from: path + '/' + start, path: path + '/' + (start + last) });
+                        return;
+                    }
+                    if (isEqual(x[start + last], y[start]) &&
+                        isEqual(x.slice(start, start + last), y.slice(start + 1, endY))) {
+                        ops.push({ op: 'move', from: path + '/' + (start + last), path: path + '/' + start });
+                        return;
+                    }
+                }
+
+                const common = Math.min(lenX, lenY);
+                for (let i = 0; i < common; i++) {
+                    walk(x[start + i], y[start + i], path + '/' + (start + i));
+                }
+                for (let i = lenX - 1; i >= common; i--) {
+                    ops.push({ op: 'remove', path: path + '/' + (start + i) });
+                }
+                for (let i = common; i < lenY; i++) {
+                    ops.push({ op: 'add', path: path + '/' + (start + i), value: y[start + i] });
+                }
+            }
+
+            function walk(x, y, path) {
+                if (isEqual(x, y)) return;
+
+                if (Array.isArray(x) && Array.isArray(y)) {
+                    diffArrays(x, y, path);
+                } else if (isPlainObject(x) && isPlainObject(y)) {
+                    diffObjects(x, y, path);
+                } else {
+                    ops.push({ op: 'replace', path: path, value: y });
+                }
+            }
+
+            walk(a, b, '');
+            return ops;
+        },
+
+        /**
+         * Apply JSON Patch (RFC 6902) operations without mutating the input
+         *
+         * Only the containers along each changed path are copied; untouched
+         * branches are shared with the original document. If any operation
+         * fails (including a failed 'test'), an error is thrown and nothing is applied.
+         *
+         * @param {*} doc - The document
+         * @param {Array} ops - Operations (add, remove, replace, move, copy, test)
+         * @returns {*} The patched document
+         */
+        applyPatch: function(doc, ops) {
+            if (!Array.isArray(ops)) {
+                throw new Error('Patch must be an array of operations');
+            }
+
+            const self = this;
+
+            function fail(index, operation, reason) {
+                const error = new Error('Patch operation ' + index + ' (' + operation.op + ' ' +
+                    operation.path + ') failed: ' + reason);
+                error.index = index;
+                error.operation = operation;
+                throw error;
+            }
+
+            function arrayIndex(array, token, allowEnd) {
+                if (allowEnd && token === '-') return array.length;
+                if (!/^(0|[1-9]\d*)$/.test(token)) return -1;
+                const index = Number(token);
+                return index < array.length || (allowEnd && index === array.length) ? index : -1;
+            }
+
+            function getAt(root, keys) {
+                let current = root;
+                for (let i = 0; i < keys.length; i++) {
+                    if (Array.isArray(current)) {
+                        const index = arrayIndex(current, keys[i], false);
+                        if (index === -1) return { found: false };
+                        current = current[index];
+                    } else if (current !== null && typeof current === 'object' && current.hasOwnProperty(keys[i])) {
+                        current = current[keys[i]];
+                    } else {
+                        return { found: false };
+                    }
+                }
+                return { found: true, value: current };
+            }
+
+            // Rebuild the containers along `keys`, letting `change` edit a copy of the parent
+            function updateAt(root, keys, change) {
+                if (keys.length === 0) {
+                    return change(null, null);
+                }
+
+                function rebuild(node, depth) {
+                    if (node === null || typeof node !== 'object') {
+                        throw new Error('path does not exist');
+                    }
+                    const copy = Array.isArray(node) ? node.slice() : Object.assign({}, node);
+                    const key = keys[depth];
+
+                    if (depth === keys.length - 1) {
+                        change(copy, key);
+                        return copy;
+                    }
+
+                    let childKey = key;
+                    if (Array.isArray(node)) {
+                        childKey = arrayIndex(node, key, false);
+                        if (childKey === -1) throw new Error('path does not exist');
+                    } else if (!node.hasOwnProperty(key)) {
+                        throw new Error('path does not exist');
+                    }
+                    copy[childKey] = rebuild(node[childKey], depth + 1);
+                    return copy;
+                }
+
+                return rebuild(root, 0);
+            }
+
+            function add(root, keys, value) {
+                return updateAt(root, keys, function(parent, key) {
+                    if (parent === null) return value;
+                    if (Array.isArray(parent)) {
+                        const index = arrayIndex(parent, key, true);
+                        if (index === -1) throw new Error('array index out of bounds');
+                        parent.splice(index, 0, value);
+                    } else {
+                        parent[key] = value;
+                    }
+                });
+            }
+
+            function remove(root, keys) {
+                return updateAt(root, keys, function(parent, key) {
+                    if (parent === null) return undefined;
+                    if (Array.isArray(parent)) {
+                        const index = arrayIndex(parent, key, false);
+                        if (index === -1) throw new Error('path does not exist');
+                        parent.splice(index, 1);
+                    } else {
+                        if (!parent.hasOwnProperty(key)) throw new Error('path does not exist');
+                        delete parent[key];
+                    }
+                });
+            }
+
+            let result = doc;
+
+            for (let i = 0; i < ops.length; i++) {
+                const operation = ops[i];
+                if (!operation || typeof operation.op !== 'string') {
+                    fail(i, operation || {}, 'missing "op"');
+                }
+
+                try {
+                    const keys = self.parsePointer(operation.path);
+
+                    switch (operation.op) {
+                        case 'add':
+                            result = add(result, keys, operation.value);
+                            break;
+
+                        case 'remove':
+                            result = remove(result, keys);
+                            break;
+
+                        case 'replace':
+                            if (!getAt(result, keys).found) throw new Error('path does not exist');
+                            result = keys.length === 0 ? operation.value : updateAt(result, keys, function(parent, key) {
+                                parent[Array.isArray(parent) ? Number(key) : key] = operation.value;
+                            });
+                            break;
+
+                        case 'move':
+                        case 'copy': {
+                            const fromKeys = self.parsePointer(operation.from);
+                            const source = getAt(result, fromKeys);
+                            if (!source.found) throw new Error('"from" path ' + operation.from + ' does not exist');
+                            if (operation.op === 'move') {
+                                if (operation.path.indexOf(operation.from + '/') === 0) {
+                                    throw new Error('cannot move a value into one of its children');
+                                }
+                                if (operation.path === operation.from) break;
+                                result = remove(result, fromKeys);
+                            }
+                            result = add(result, keys, source.value);
+                            break;
+                        }
+
+                        case 'test': {
+                            const target = getAt(result, keys);
+                            if (!target.found) throw new Error('path does not exist');
+                            if (!OmniHelper.Utils.isEqual(target.value, operation.value)) {
+                                throw new Error('test failed, expected ' + JSON.stringify(operation.value) +
+                                    ' but found ' + JSON.stringify(target.value));
+                            }
+                            break;
+                        }
+
+                        default:
+                            throw new Error('unknown operation');
+                    }
+                } catch (e) {
+                    if (e.operation) throw e;
+                    fail(i, operation, e.message);
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Flatten a nested object into a single level of path keys
+         *
+         * Empty objects/arrays and anything below maxDepth are kept as values, and
+         * characters that would be read as path syntax are escaped with a backslash,
+         * so unflatten() restores the original structure exactly.
+         *
+         * @param {Object|Array} obj - The object to flatten
+         * @param {Object} options - Options:
+         *   delimiter (default '.'), arrayFormat ('bracket' for 'tags[0]' or 'dot' for 'tags.0'),
+         *   maxDepth (default Infinity)
+         * @returns {Object} Flat object ({ 'address.city': 'Cairo', 'tags[0]': 'x' })
+         */
+        flattenObject: function(obj, options) {
+            const opts = options || {};
+            const delimiter = opts.delimiter || '.';
+            const arrayFormat = opts.arrayFormat || 'bracket';
+            const maxDepth = opts.maxDepth !== undefined ? opts.maxDepth : Infinity;
+            const result = {};
+
+            if (obj === null || typeof obj !== 'object') {
+                return result;
+            }
+
+            function escapeKey(key) {
+                let escaped = '';
+                for (let i = 0; i < key.length; i++) {
+                    const char = key[i];
+                    if (char === '\\' || char === '[' || char === ']' || key.substr(i, delimiter.length) === delimiter) {
+                        escaped += '\\';
+                    }
+                    escaped += char;
+                }
+                return escaped;
+            }
+
+            function isContainer(value) {
+                return value !== null && typeof value === 'object' &&
+                    (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype ||
+                        Object.getPrototypeOf(value) === null);
+            }
+
+            function walk(value, prefix, depth) {
+                const isArray = Array.isArray(value);
+                const keys = Object.keys(value);
+
+                if (keys.length === 0 || depth >= maxDepth) {
+                    result[prefix] = value;
+                    return;
+                }
+
+                for (let i = 0; i < keys.length; i++) {
+                    const key = keys[i];
+                    let path;
+                    if (isArray && arrayFormat === 'bracket') {
+                        path = prefix + '[' + key + ']';
+                    } else {
+                        path = (prefix === '' ? '' : prefix + delimiter) + escapeKey(key);
+                    }
+
+                    if (isContainer(value[key])) {
+                        walk(value[key], path, depth + 1);
+                    } else {
+                        result[path] = value[key];
+                    }
+                }
+            }
+
+            if (Object.keys(obj).length === 0) {
+                return result;
+            }
+            walk(obj, '', 0);
+            return result;
+        },
+
+        /**
+         * Rebuild a nested object from path keys produced by flattenObject()
+         * @param {Object} flat - The flat object
+         * @param {Object} options - Options: delimiter (default '.'), arrayFormat ('bracket' or 'dot'),
+         *   maxDepth (segments past this depth stay joined in a single key)
+         * In 'dot' format, all-digit segments are read as array indexes.
+         * @returns {Object|Array} Nested object
+         */
+        unflatten: function(flat, options) {
+            const opts = options || {};
+            const delimiter = opts.delimiter || '.';
+            const arrayFormat = opts.arrayFormat || 'bracket';
+            const maxDepth = opts.maxDepth !== undefined ? opts.maxDepth : Infinity;
+
+            if (flat === null || typeof flat !== 'object') {
+                throw new Error('Input must be an object');
+            }
+
+            function parsePath(path) {
+                const segments = [];
+                let current = '';
+                let pending = false;
+                let i = 0;
+
+                function push(isIndex) {
+                    segments.push({ key: isIndex ? Number(current) : current, isIndex: isIndex });
+                    current = '';
+                    pending = false;
+                }
+
+                function isDotIndex() {
+                    return arrayFormat === 'dot' && /^\d+$/.test(current);
+                }
+
+                while (i < path.length) {
+                    const char = path[i];
+                    if (char === '\\' && i + 1 < path.length) {
+                        current += path[i + 1];
+                        pending = true;
+                        i += 2;
+                    } else if (char === '[') {
+                        const end = path.indexOf(']', i);
+                        const index = end === -1 ? '' : path.slice(i + 1, end);
+                        if (!/^\d+$/.test(index)) {
+                            throw new Error('Invalid array index in path: ' + path);
+                        }
+                        if (pending) {
+                            push(isDotIndex());
+                        }
+                        current = index;
+                        push(true);
+                        i = end + 1;
+                        if (path.substr(i, delimiter.length) === delimiter) {
+                            i += delimiter.length;
+                            pending = true;
+                        }
+                    } else if (path.substr(i, delimiter.length) === delimiter) {
+                        push(isDotIndex());
+                        pending = true;
+                        i += delimiter.length;
+                    } else {
+                        current += char;
+                        pending = true;
+                        i++;
+                    }
+                }
+                if (pending || segments.length === 0) {
+                    push(isDotIndex());
+                }
+
+                if (segments.length > maxDepth) {
+                    const tail = segments.splice(Math.max(maxDepth, 1) - 1).map(function(segment) {
+                        return String(segment.key);
+                    });
+                    segments.push({ key: tail.join(delimiter), isIndex: false });
+                }
+                return segments;
+            }
+
+            let root;
+
+            for (const path in flat) {
+                if (!flat.hasOwnProperty(path)) continue;
+
+                const segments = parsePath(path);
+                // __proto__ would rewrite prototypes; 'constructor' and 'prototype' are ordinary own keys here
+                if (segments.some(function(segment) { return segment.key === '__proto__'; })) {
+                    continue;
+                }
+
+                if (root === undefined) {
+                    root = segments[0].isIndex ? [] : {};
+                }
+
+                let current = root;
+                for (let i = 0; i < segments.length - 1; i++) {
+                    const key = segments[i].key;
+                    if (!Object.prototype.hasOwnProperty.call(current, key) || current[key] === null || typeof current[key] !== 'object') {
+                        current[key] = segments[i + 1].isIndex ? [] : {};
+                    }
+                    current = current[key];
+                }
+                current[segments[segments.length - 1].key] = flat[path];
+            }
+
+            return root === undefined ? {} : root;
+        },
+
+        /**
+         * Group rows by one or more keys and compute metrics per group
+         *
+         * Metrics are given as 'count', [op, field], { op, field }, a function(rows)
+         * or { reduce: function(acc, row), initial }. Supported ops: count, sum, avg,
+         * min, max, median, first, last. Group keys keep their original types.
+         *
+         * @param {Array} array - The rows
+         * @param {Object} options - { by: key|Function|Array|Object, metrics: Object }
+         * @returns {Array} One row per group with the group keys and metric values
+         * @example
+         * OmniHelper.Data.aggregate(orders, {
+         *     by: ['region', 'year'],
+         *     metrics: { orders: 'count', revenue: ['sum', 'total'], avgTotal: ['avg', 'total'] }
+         * });
+         */
+        aggregate: function(array, options) {
+            if (!Array.isArray(array)) {
+                throw new Error('Input must be an array');
+            }
+
+            const self = this;
+            const opts = options || {};
+            const keys = this.normalizeGroupKeys(opts.by);
+            const metrics = opts.metrics || { count: 'count' };
+            const groups = this.groupRows(array, keys.map(function(k) { return k.key; }));
+
+            return groups.map(function(group) {
+                const row = {};
+                keys.forEach(function(k, index) {
+                    row[k.name] = group.keys[index];
+                });
+                for (const name in metrics) {
+                    if (metrics.hasOwnProperty(name)) {
+                        row[name] = self.computeMetric(group.items, metrics[name]);
+                    }
+                }
+                return row;
+            });
+        },
+
+        /**
+         * Build a pivot table
+         *
+         * Row and column values keep their original types and first-seen order
+         * (so 2020 and '2020', or null and 'null', stay separate columns).
+         *
+         * @param {Array} array - The rows
+         * @param {string|Function} rowKey - Key for the pivot rows
+         * @param {string|Function} colKey - Key for the pivot columns
+         * @param {*} metric - Metric spec as in aggregate() (default 'count')
+         * @param {Object} options - Options ({ fill: value for empty cells, default null })
+         * @returns {Object} { rowKey, rows, columns, matrix, header, table } where matrix[i][j] is the
+         *   metric for rows[i] and columns[j], header is [rowKey, ...columns as strings] and table holds
+         *   [row, ...cells] arrays, e.g. Data.toCSV(pivot.table, { columns: pivot.header })
+         * @example
+         * const pivot = OmniHelper.Data.pivot(sales, 'region', 'year', ['sum', 'amount']);
+         * OmniHelper.Log.table(pivot.table);
+         */
+        pivot: function(array, rowKey, colKey, metric, options) {
+            if (!Array.isArray(array)) {
+                throw new Error('Input must be an array');
+            }
+
+            const self = this;
+            const opts = options || {};
+            const fill = opts.fill !== undefined ? opts.fill : null;
+            const rowName = typeof rowKey === 'function' ? 'row' : String(rowKey);
+            const groups = this.groupRows(array, [rowKey, colKey]);
+            const rowIndex = new Map();
+            const columnIndex = new Map();
+            const rows = [];
+            const columns = [];
+            const cells = [];
+
+            groups.forEach(function(group) {
+                const rowValue = group.keys[0];
+                const column = group.keys[1];
+                if (!rowIndex.has(rowValue)) {
+                    rowIndex.set(rowValue, rows.length);
+                    rows.push(rowValue);
+                }
+                if (!columnIndex.has(column)) {
+                    columnIndex.set(column, columns.length);
+                    columns.push(column);
+                }
+                cells.push({
+                    row: rowIndex.get(rowValue),
+                    column: columnIndex.get(column),
+                    value: self.computeMetric(group.items, metric || 'count')
+                });
+            });
+
+            const matrix = rows.map(function() {
+                return columns.map(function() {
+                    return fill;
+                });
+            });
+            cells.forEach(function(cell) {
+                matrix[cell.row][cell.column] = cell.value;
+            });
+
+            return {
+                rowKey: rowName,
+                rows: rows,
+                columns: columns,
+                matrix: matrix,
+                header: [rowName].concat(columns.map(String)),
+                table: rows.map(function(rowValue, index) {
+                    return [rowValue].concat(matrix[index]);
+                })
+            };
+        },
+
+        /**
+         * Normalize a group-by spec into [{ name, key }] entries
+         * @param {string|Function|Array|Object} by - The group-by spec
+         * @returns {Array} Normalized keys
+         */
+        normalizeGroupKeys: function(by) {
+            if (by === undefined || by === null) return [];
+
+            if (typeof by === 'object' && !Array.isArray(by)) {
+                return Object.keys(by).map(function(name) {
+                    return { name: name, key: by[name] };
+                });
+            }
+
+            return (Array.isArray(by) ? by : [by]).map(function(key, index) {
+                return { name: typeof key === 'function' ? 'key' + index : key, key: key };
+            });
+        },
+
+        /**
+         * Group rows by several keys, preserving key types and first-seen order
+         * @param {Array} array - The rows
+         * @param {Array} keys - Keys or functions
+         * @returns {Array} Groups as { keys, items }
+         */
+        groupRows: function(array, keys) {
+            const self = this;
+            const root = new Map();
+            const groups = [];
+
+            array.forEach(function(item) {
+                const values = keys.map(function(key) {
+                    return self.resolveKey(item, key);
+                });
+
+                let node = root;
+                for (let i = 0; i < values.length; i++) {
+                    if (!node.has(values[i])) {
+                        node.set(values[i], i === values.length - 1 ? { keys: values, items: [] } : new Map());
+                        if (i === values.length - 1) {
+                            groups.push(node.get(values[i]));
+                        }
+                    }
+                    node = node.get(values[i]);
+                }
+
+                if (values.length === 0) {
+                    if (groups.length === 0) {
+                        groups.push({ keys: [], items: [] });
+                    }
+                    groups[0].items.push(item);
+                } else {
+                    node.items.push(item);
+                }
+            });
+
+            return groups;
+        },
+
+        /**
+         * Compute a single metric over a list of rows
+         * @param {Array} items - The rows
+         * @param {*} spec - Metric spec ('count', [op, field], { op, field }, function or { reduce, initial })
+         * @returns {*} The metric value
+         */
+        computeMetric: function(items, spec) {
+            const self = this;
+
+            if (typeof spec === 'function') {
+                return spec(items);
+            }
+            if (spec && typeof spec.reduce === 'function' && !Array.isArray(spec)) {
+                return items.reduce(spec.reduce, spec.initial);
+            }
+
+            const op = typeof spec === 'string' ? spec : Array.isArray(spec) ? spec[0] : spec && spec.op;
+            const field = Array.isArray(spec) ? spec[1] : spec && spec.field;
+
+            function values() {
+                return items.map(function(item) {
+                    return field === undefined ? item : self.resolveKey(item, field);
+                });
+            }
+
+            function numbers() {
+                return values().filter(function(value) {
+                    return value !== null && value !== undefined && value !== '' && !isNaN(Number(value));
+                }).map(Number);
+            }
+
+            switch (op) {
+                case 'count':
+                    return field === undefined ? items.length : values().filter(function(value) {
+                        return value !== null && value !== undefined;
+                    }).length;
+                case 'sum':
+                    return OmniHelper.Utils.sum(numbers());
+                case 'avg': {
+                    const nums = numbers();
+                    return nums.length === 0 ? null : OmniHelper.Utils.mean(nums);
+                }
+                case 'min':
+                case 'max': {
+                    const nums = numbers();
+                    if (nums.length === 0) return null;
+                    return nums.reduce(function(best, value) {
+                        return op === 'min' ? (value < best ? value : best) : (value > best ? value : best);
+                    });
+                }
+                case 'median':
+                    return OmniHelper.Stats.median(numbers());
+                case 'first':
+                    return items.length ? values()[0] : undefined;
+                case 'last':
+                    return items.length ? values()[items.length - 1] : undefined;
+                default:
+                    throw new Error('Unknown aggregate metric: ' + op);
+            }
+        },
+
+        /**
+         * Join two arrays of records on one or more keys using a hash lookup
+         *
+         * Rows whose join key is null or undefined never match. Fields present in
+         * both tables (other than shared join keys) are resolved with options.conflict:
+         * 'suffix' (default, uses options.suffixes), 'left', 'right' or a
+         * function(field, leftValue, rightValue) returning the value to keep.
+         * With 'suffix' every output row uses the suffixed names for those fields,
+         * including unmatched rows of an outer join.
+         *
+         * @param {Array} left - Left rows
+         * @param {Array} right - Right rows
+         * @param {Object} options - {
+         *   on: key | [keys] | { left: key(s), right: key(s) } (keys may be functions),
+         *   type: 'inner' (default), 'left', 'right', 'full' or 'anti',
+         *   conflict, suffixes (default ['_left', '_right'])
+         * }
+         * @returns {Array} Joined rows
+         * @example
+         * OmniHelper.Data.join(orders, customers, { on: { left: 'customerId', right: 'id' }, type: 'left' });
+         */
+        join: function(left, right, options) {
+            if (!Array.isArray(left) || !Array.isArray(right)) {
+                throw new Error('Input must be an array');
+            }
+
+            const self = this;
+            const opts = options || {};
+            const type = opts.type || 'inner';
+            const conflict = opts.conflict || 'suffix';
+            const suffixes = opts.suffixes || ['_left', '_right'];
+
+            if (['inner', 'left', 'right', 'full', 'anti'].indexOf(type) === -1) {
+                throw new Error('Unknown join type: ' + type);
+            }
+            if (opts.on === undefined || opts.on === null) {
+                throw new Error('Join requires an "on" key');
+            }
+
+            const isSplit = typeof opts.on === 'object' && !Array.isArray(opts.on);
+            const leftKeys = [].concat(isSplit ? opts.on.left : opts.on);
+            const rightKeys = [].concat(isSplit ? opts.on.right : opts.on);
+
+            if (leftKeys.length !== rightKeys.length) {
+                throw new Error('Join keys must have the same length on both sides');
+            }
+
+            const sharedKeys = leftKeys.filter(function(key, index) {
+                return typeof key === 'string' && key === rightKeys[index];
+            });
+
+            function keyOf(row, keys) {
+                const values = [];
+                for (let i = 0; i < keys.length; i++) {
+                    const value = self.resolveKey(row, keys[i]);
+                    if (value === null || value === undefined) return undefined;
+                    values.push(value instanceof Date ? value.getTime() : value);
+                }
+                return values.length === 1 ? values[0] : JSON.stringify(values);
+            }
+
+            // Fields found on both sides are decided once from the whole tables, so
+            // unmatched rows of an outer join get the same suffixed names as matched ones
+            const has = Object.prototype.hasOwnProperty;
+            const clashing = new Set();
+            if (type !== 'anti') {
+                const rightFields = new Set();
+                right.forEach(function(row) {
+                    for (const key in row) {
+                        if (has.call(row, key)) rightFields.add(key);
+                    }
+                });
+                left.forEach(function(row) {
+                    for (const key in row) {
+                        if (has.call(row, key) && rightFields.has(key) && sharedKeys.indexOf(key) === -1) {
+                            clashing.add(key);
+                        }
+                    }
+                });
+            }
+
+            function merge(l, r) {
+                const result = {};
+                if (l) {
+                    for (const key in l) {
+                        if (!has.call(l, key)) continue;
+
+                        if (!clashing.has(key)) {
+                            result[key] = l[key];
+                        } else if (conflict === 'suffix') {
+                            result[key + suffixes[0]] = l[key];
+                        } else if (!r || !has.call(r, key)) {
+                            result[key] = l[key];
+                        } else if (typeof conflict === 'function') {
+                            result[key] = conflict(key, l[key], r[key]);
+                        } else if (conflict === 'right') {
+                            result[key] = r[key];
+                        } else {
+                            result[key] = l[key];
+                        }
+                    }
+                }
+                if (r) {
+                    for (const key in r) {
+                        if (!has.call(r, key)) continue;
+
+                        if (clashing.has(key) && conflict === 'suffix') {
+                            result[key + suffixes[1]] = r[key];
+                        } else if (!l || !has.call(l, key)) {
+                            result[key] = r[key];
+                        }
+                    }
+                }
+                return result;
+            }
+
+            const index = new Map();
+            right.forEach(function(row, position) {
+                const key = keyOf(row, rightKeys);
+                if (key === undefined) return;
+                if (!index.has(key)) {
+                    index.set(key, []);
+                }
+                index.get(key).push(position);
+            });
+
+            const result = [];
+            const matchedRight = new Set();
+
+            left.forEach(function(row) {
+                const key = keyOf(row, leftKeys);
+                const matches = key === undefined ? undefined : index.get(key);
+
+                if (type === 'anti') {
+                    if (!matches) result.push(merge(row, null));
+                    return;
+                }
+                if (matches) {
+                    matches.forEach(function(position) {
+                        matchedRight.add(position);
+                        result.push(merge(row, right[position]));
+                    });
+                } else if (type === 'left' || type === 'full') {
+                    result.push(merge(row, null));
+                }
+            });
+
+            if (type === 'right' || type === 'full') {
+                right.forEach(function(row, position) {
+                    if (!matchedRight.has(position)) {
+                        result.push(merge(null, row));
+                    }
+                });
+            }
+
+            return result;
+        },
+
+        /**
+         * Create a lazy pipeline over any iterable, generator, async iterable or stream
+         *
+         * Items are pulled from the source one at a time, only when a terminal
+         * method (collect, reduce, forEach) or a for-await loop asks for them.
+         * Terminal methods return Promises. A pipeline can be consumed once.
+         *
+         * @param {Iterable|AsyncIterable|ReadableStream} source - The source (arrays, generators,
+         *   Node readable streams, WHATWG ReadableStream, ...)
+         * @returns {Object} Lazy pipeline with map, filter, take, skip, chunk, batch, lines,
+         *   concurrentMap, collect, reduce and forEach
+         * @example
+         * OmniHelper.Data.iter(fs.createReadStream('app.ndjson'))
+         *     .lines()
+         *     .map(JSON.parse)
+         *     .filter(function(entry) { return entry.level === 'error'; })
+         *     .take(100)
+         *     .collect();
+         */
+        iter: function(source) {
+            return this.createIter(this.toPuller(source));
+        },
+
+        /**
+         * Wrap a source in a { next, close } puller whose next() returns a Promise of { done, value }
+         * @param {*} source - The source
+         * @returns {Object} Puller
+         */
+        toPuller: function(source) {
+            if (source === null || source === undefined) {
+                throw new Error('Source must be iterable');
+            }
+
+            if (typeof source[Symbol.asyncIterator] === 'function') {
+                const asyncIterator = source[Symbol.asyncIterator]();
+                return {
+                    next: function() {
+                        return Promise.resolve(asyncIterator.next());
+                    },
+                    close: function() {
+                        return Promise.resolve(typeof asyncIterator.return === 'function' ? asyncIterator.return() : undefined);
+                    }
+                };
+            }
+
+            if (typeof source.getReader === 'function') {
+                const reader = source.getReader();
+                return {
+                    next: function() {
+                        return reader.read();
+                    },
+                    close: function() {
+                        return Promise.resolve(reader.cancel());
+                    }
+                };
+            }
+
+            if (typeof source[Symbol.iterator] === 'function') {
+                const iterator = source[Symbol.iterator]();
+                return {
+                    next: function() {
+                        const step = iterator.next();
+                        return step.done ? Promise.resolve(step) : Promise.resolve(step.value).then(function(value) {
+                            return { done: false, value: value };
+                        });
+                    },
+                    close: function() {
+                        return Promise.resolve(typeof iterator.return === 'function' ? iterator.return() : undefined);
+                    }
+                };
+            }
+
+            throw new Error('Source must be iterable');
+        },
+
+        /**
+         * Build the chainable pipeline object around a puller
+         * @param {Object} puller - { next, close }
+         * @returns {Object} Lazy pipeline
+         */
+        createIter: function(puller) {
+            const self = this;
+            const DONE = { done: true, value: undefined };
+
+            function item(value) {
+                return { done: false, value: value };
+            }
+
+            function chain(next) {
+                return self.createIter({ next: next, close: puller.close });
+            }
+
+            // Returned by repeat() bodies to ask for another round
+            const AGAIN = {};
+
+            /**
+             * Call body() until it resolves with something other than AGAIN.
+             * One outer promise drives the loop, so finished rounds can be
+             * garbage-collected instead of piling up in a nested promise chain.
+             */
+            function repeat(body) {
+                return new Promise(function(resolve, reject) {
+                    function loop() {
+                        Promise.resolve().then(body).then(function(result) {
+                            if (result === AGAIN) {
+                                loop();
+                            } else {
+                                resolve(result);
+                            }
+                        }).then(null, reject);
+                    }
+                    loop();
+                });
+            }
+
+            const pipeline = {
+                /**
+                 * Transform each item (the callback may return a Promise)
+                 */
+                map: function(fn) {
+                    let index = 0;
+                    return chain(function() {
+                        return puller.next().then(function(step) {
+                            if (step.done) return DONE;
+                            return Promise.resolve(fn(step.value, index++)).then(item);
+                        });
+                    });
+                },
+
+                /**
+                 * Keep items matching the predicate (which may return a Promise)
+                 */
+                filter: function(predicate) {
+                    let index = 0;
+                    return chain(function() {
+                        return repeat(function() {
+                            return puller.next().then(function(step) {
+                                if (step.done) return DONE;
+                                return Promise.resolve(predicate(step.value, index++)).then(function(keep) {
+                                    return keep ? step : AGAIN;
+                                });
+                            });
+                        });
+                    });
+                },
+
+                /**
+                 * Stop after `count` items, closing the source
+                 */
+                take: function(count) {
+                    let taken = 0;
+                    return chain(function() {
+                        if (taken >= count) {
+                            return puller.close().then(function() {
+                                return DONE;
+                            });
+                        }
+                        taken++;
+                        return puller.next();
+                    });
+                },
+
+                /**
+                 * Skip the first `count` items
+                 */
+                skip: function(count) {
+                    let skipped = 0;
+                    return chain(function() {
+                        return repeat(function() {
+                            return puller.next().then(function(step) {
+                                if (step.done || skipped >= count) return step;
+                                skipped++;
+                                return AGAIN;
+                            });
+                        });
+                    });
+                },
+
+                /**
+                 * Group items into arrays of `size` (the last one may be shorter)
+                 */
+                chunk: function(size) {
+                    size = size || 1;
+                    let finished = false;
+                    return chain(function() {
+                        const items = [];
+                        function fill() {
+                            if (finished || items.length >= size) {
+                                return Promise.resolve(items.length ? item(items) : DONE);
+                            }
+                            return puller.next().then(function(step) {
+                                if (step.done) {
+                                    finished = true;
+                                } else {
+                                    items.push(step.value);
+                                }
+                                return fill();
+                            });
+                        }
+                        return fill();
+                    });
+                },
+
+                /**
+                 * Group items into arrays of up to `size`, emitting early when
+                 * `wait` ms pass after the first item of a batch
+                 */
+                batch: function(size, wait) {
+                    size = size || 1;
+                    let finished = false;
+                    let pending = null;
+
+                    return chain(function() {
+                        const items = [];
+                        let deadline = null;
+
+                        function pull() {
+                            if (!pending) {
+                                pending = puller.next();
+                            }
+                            return pending;
+                        }
+
+                        function fill() {
+                            if (finished || items.length >= size) {
+                                return Promise.resolve(items.length ? item(items) : DONE);
+                            }
+
+                            let timer = null;
+                            const racers = [pull().then(function(step) {
+                                return { step: step };
+                            })];
+                            if (deadline !== null) {
+                                racers.push(new Promise(function(resolve) {
+                                    timer = setTimeout(resolve, Math.max(0, deadline - Date.now()), { timeout: true });
+                                }));
+                            }
+
+                            return Promise.race(racers).then(function(winner) {
+                                clearTimeout(timer);
+                                if (winner.timeout) {
+                                    return item(items);
+                                }
+                                pending = null;
+                                if (winner.step.done) {
+                                    finished = true;
+                                } else {
+                                    items.push(winner.step.value);
+                                    if (deadline === null && wait > 0) {
+                                        deadline = Date.now() + wait;
+                                    }
+                                }
+                                return fill();
+                            });
+                        }
+
+                        return fill();
+                    });
+                },
+
+                /**
+                 * Split string or byte chunks into lines (for NDJSON, logs, CSV streams)
+                 */
+                lines: function() {
+                    const decoder = typeof TextDecoder !== 'undefined' ? new TextDecoder() : null;
+                    let buffered = [];
+                    let remainder = '';
+                    let finished = false;
+
+                    function next() {
+                        if (buffered.length) {
+                            return item(buffered.shift());
+                        }
+                        if (finished) {
+                            return DONE;
+                        }
+                        return puller.next().then(function(step) {
+                            if (step.done) {
+                                finished = true;
+                                if (decoder) remainder += decoder.decode();
+                                if (remainder !== '') {
+                                    buffered.push(remainder);
+                                    remainder = '';
+                                }
+                                return AGAIN;
+                            }
+                            const text = typeof step.value === 'string' ? step.value
+                                : decoder ? decoder.decode(step.value, { stream: true }) : String(step.value);
+                            const parts = (remainder + text).split(/\r?\n/);
+                            remainder = parts.pop();
+                            buffered = buffered.concat(parts);
+                            return AGAIN;
+                        });
+                    }
+                    return chain(function() {
+                        return repeat(next);
+                    });
+                },
+
+                /**
+                 * Map with up to `concurrency` callbacks in flight, keeping the input order
+                 */
+                concurrentMap: function(fn, concurrency) {
+                    const limit = concurrency || 4;
+                    const inflight = [];
+                    let sourceDone = false;
+                    let index = 0;
+
+                    function fill() {
+                        if (sourceDone || inflight.length >= limit) {
+                            return Promise.resolve();
+                        }
+                        return puller.next().then(function(step) {
+                            if (step.done) {
+                                sourceDone = true;
+                                return;
+                            }
+                            const value = step.value;
+                            const position = index++;
+                            const result = Promise.resolve().then(function() {
+                                return fn(value, position);
+                            });
+                            result.catch(function() {});
+                            inflight.push(result);
+                            return fill();
+                        });
+                    }
+
+                    return chain(function() {
+                        return fill().then(function() {
+                            if (inflight.length === 0) return DONE;
+                            return inflight.shift().then(item);
+                        });
+                    });
+                },
+
+                /**
+                 * Pull every item and call fn for each
+                 * @returns {Promise} Resolves when the source is exhausted
+                 */
+                forEach: function(fn) {
+                    return pipeline.reduce(function(acc, value, index) {
+                        return Promise.resolve(fn(value, index)).then(function() {
+                            return acc;
+                        });
+                    }, undefined);
+                },
+
+                /**
+                 * Reduce all items to a single value (the reducer may return a Promise)
+                 * @returns {Promise} Resolves with the reduced value
+                 */
+                reduce: function(fn, initialValue) {
+                    let index = 0;
+                    let acc = initialValue;
+                    return repeat(function() {
+                        return puller.next().then(function(result) {
+                            if (result.done) return acc;
+                            return Promise.resolve(fn(acc, result.value, index++)).then(function(next) {
+                                acc = next;
+                                return AGAIN;
+                            });
+                        });
+                    }).catch(function(error) {
+                        return puller.close().then(function() {
+                            throw error;
+                        }, function() {
+                            throw error;
+                        });
+                    });
+                },
+
+                /**
+                 * Pull every item into an array
+                 * @returns {Promise} Resolves with the collected items
+                 */
+                collect: function() {
+                    return pipeline.reduce(function(acc, value) {
+                        acc.push(value);
+                        return acc;
+                    }, []);
+                }
+            };
+
+            pipeline[Symbol.asyncIterator] = function() {
+                return {
+                    next: puller.next,
+                    return: function() {
+                        return puller.close().then(function() {
+                            return DONE;
+                        });
+                    }
+                };
+            };
+
+            return pipeline;
+        },
+
+        /**
+         * Describe an entity type for normalize()/denormalize()
+         * @param {string} key - The entities bucket name ('users')
+         * @param {Object} definition - Nested schemas by field ({ author: user, comments: [comment] })
+         * @param {Object} options - Options:
+         *   idAttribute (field name or function(entity, parent, key), default 'id'),
+         *   merge (function(existing, incoming) used when an entity appears more than once,
+         *   default shallow merge)
+         * @returns {Object} Entity schema; call schema.define({...}) to add (e.g. circular) relations later
+         */
+        entity: function(key, definition, options) {
+            if (typeof key !== 'string' || key === '') {
+                throw new Error('Entity key must be a non-empty string');
+            }
+
+            const opts = options || {};
+            const idAttribute = opts.idAttribute || 'id';
+
+            const schema = {
+                isEntity: true,
+                key: key,
+                definition: {},
+                merge: opts.merge || function(existing, incoming) {
+                    return Object.assign({}, existing, incoming);
+                },
+                getId: function(value, parent, field) {
+                    return typeof idAttribute === 'function' ? idAttribute(value, parent, field) : value[idAttribute];
+                },
+                define: function(relations) {
+                    for (const field in relations) {
+                        if (relations.hasOwnProperty(field)) {
+                            schema.definition[field] = relations[field];
+                        }
+                    }
+                    return schema;
+                }
+            };
+
+            return schema.define(definition || {});
+        },
+
+        /**
+         * Describe a polymorphic relation for normalize()/denormalize()
+         * @param {Object} schemas - Entity schemas by type name ({ admin: admin, customer: customer })
+         * @param {string|Function} schemaAttribute - Field holding the type name, or function(value, parent, key)
+         * @returns {Object} Union schema
+         */
+        union: function(schemas, schemaAttribute) {
+            return {
+                isUnion: true,
+                schemas: schemas,
+                getSchemaName: function(value, parent, field) {
+                    return typeof schemaAttribute === 'function'
+                        ? schemaAttribute(value, parent, field)
+                        : value[schemaAttribute];
+                }
+            };
+        },
+
+        /**
+         * Normalize nested data into flat entity maps keyed by id
+         *
+         * A schema is an entity(), a union(), an array holding one schema
+         * ([user]) or a plain object of schemas for nested non-entity objects.
+         *
+         * @param {*} data - The nested data
+         * @param {Object|Array} schema - The schema
+         * @returns {Object} { entities: { [key]: { [id]: entity } }, result }
+         * @example
+         * const customer = OmniHelper.Data.entity('customers');
+         * const order = OmniHelper.Data.entity('orders', { customer: customer });
+         * OmniHelper.Data.normalize(apiOrders, [order]);
+         */
+        normalize: function(data, schema) {
+            const entities = {};
+            const visiting = new Map();
+
+            function visit(value, currentSchema, parent, field) {
+                if (value === null || value === undefined || typeof value !== 'object' || !currentSchema) {
+                    return value;
+                }
+
+                if (Array.isArray(currentSchema)) {
+                    const items = Array.isArray(value) ? value : [value];
+                    return items.map(function(item) {
+                        return visit(item, currentSchema[0], parent, field);
+                    });
+                }
+
+                if (currentSchema.isUnion) {
+                    const name = currentSchema.getSchemaName(value, parent, field);
+                    const target = currentSchema.schemas[name];
+                    if (!target) {
+                        return value;
+                    }
+                    return { id: visit(value, target, parent, field), schema: name };
+                }
+
+                if (currentSchema.isEntity) {
+                    const id = currentSchema.getId(value, parent, field);
+                    if (id === undefined || id === null) {
+                        throw new Error('Entity in "' + currentSchema.key + '" is missing an id');
+                    }
+
+                    // Object cycles: an entity already being processed is just referenced
+                    if (visiting.has(value)) {
+                        return id;
+                    }
+                    visiting.set(value, true);
+
+                    const processed = Object.assign({}, value);
+                    const definition = currentSchema.definition;
+                    for (const key in definition) {
+                        if (definition.hasOwnProperty(key) && processed[key] !== undefined) {
+                            processed[key] = visit(value[key], definition[key], value, key);
+                        }
+                    }
+
+                    visiting.delete(value);
+
+                    const bucket = entities[currentSchema.key] || (entities[currentSchema.key] = {});
+                    bucket[id] = bucket.hasOwnProperty(id) ? currentSchema.merge(bucket[id], processed) : processed;
+                    return id;
+                }
+
+                const result = Object.assign({}, value);
+                for (const key in currentSchema) {
+                    if (currentSchema.hasOwnProperty(key) && result[key] !== undefined) {
+                        result[key] = visit(value[key], currentSchema[key], value, key);
+                    }
+                }
+                return result;
+            }
+
+            return {
+                entities: entities,
+                result: visit(data, schema, null, null)
+            };
+        },
+
+        /**
+         * Rebuild nested data from normalized entities
+         *
+         * Each entity is rebuilt once and shared wherever it is referenced, so
+         * circular relations produce circular objects instead of infinite recursion.
+         *
+         * @param {*} result - The result (id, ids, or nested structure) from normalize()
+         * @param {Object|Array} schema - The schema used to normalize
+         * @param {Object} entities - The entity maps from normalize()
+         * @returns {*} Nested data
+         */
+        denormalize: function(result, schema, entities) {
+            const cache = {};
+
+            function unvisit(value, currentSchema) {
+                if (value === null || value === undefined || !currentSchema) {
+                    return value;
+                }
+
+                if (Array.isArray(currentSchema)) {
+                    return Array.isArray(value) ? value.map(function(item) {
+                        return unvisit(item, currentSchema[0]);
+                    }) : unvisit(value, currentSchema[0]);
+                }
+
+                if (currentSchema.isUnion) {
+                    if (typeof value !== 'object') return value;
+                    return unvisit(value.id, currentSchema.schemas[value.schema]);
+                }
+
+                if (currentSchema.isEntity) {
+                    const key = currentSchema.key;
+                    const id = typeof value === 'object' ? currentSchema.getId(value, null, null) : value;
+                    const bucket = entities[key] || {};
+                    const seen = cache[key] || (cache[key] = {});
+
+                    if (seen.hasOwnProperty(id)) {
+                        return seen[id];
+                    }
+                    if (!bucket.hasOwnProperty(id)) {
+                        return undefined;
+                    }
+
+                    const entity = Object.assign({}, bucket[id]);
+                    seen[id] = entity;
+                    const definition = currentSchema.definition;
+                    for (const field in definition) {
+                        if (definition.hasOwnProperty(field) && entity[field] !== undefined) {
+                            entity[field] = unvisit(entity[field], definition[field]);
+                        }
+                    }
+                    return entity;
+                }
+
+                if (typeof value !== 'object') {
+                    return value;
+                }
+                const rebuilt = Object.assign({}, value);
+                for (const field in currentSchema) {
+                    if (currentSchema.hasOwnProperty(field) && rebuilt[field] !== undefined) {
+                        rebuilt[field] = unvisit(value[field], currentSchema[field]);
+                    }
+                }
+                return rebuilt;
+            }
+
+            return unvisit(result, schema);
+        },
+
+        /**
+         * Helpers for hierarchical data (menus, org charts, category trees)
+         *
+         * Trees are a root node or an array of roots. Every helper accepts
+         * options { idKey: 'id', parentKey: 'parentId', childrenKey: 'children' }.
+         * Callbacks receive (node, { parent, depth, path }) where path lists the
+         * ancestors from the root down to the parent.
+         */
+        tree: {
+            /**
+             * Resolve tree options
+             * @param {Object} options - User options
+             * @returns {Object} Options with defaults
+             */
+            resolveOptions: function(options) {
+                const opts = options || {};
+                return {
+                    idKey: opts.idKey || 'id',
+                    parentKey: opts.parentKey || 'parentId',
+                    childrenKey: opts.childrenKey || 'children',
+                    orphans: opts.orphans || 'root',
+                    strategy: opts.strategy || 'depth'
+                };
+            },
+
+            /**
+             * Build a tree from a flat list of rows with parent references
+             *
+             * A row whose parent chain leads back to itself (a row that is its own
+             * parent, or a loop such as A -> B -> A) would never reach a root; the
+             * first row of each loop in list order is treated as an orphan instead,
+             * which breaks the loop.
+             *
+             * @param {Array} list - The rows
+             * @param {Object} options - Tree options, plus orphans ('root' to promote rows whose
+             *   parent is missing, or 'drop')
+             * @returns {Array} Root nodes (copies of the rows with a children array)
+             */
+            build: function(list, options) {
+                if (!Array.isArray(list)) {
+                    throw new Error('Input must be an array');
+                }
+
+                const opts = this.resolveOptions(options);
+                const nodes = new Map();
+                const roots = [];
+
+                list.forEach(function(row) {
+                    const node = Object.assign({}, row);
+                    node[opts.childrenKey] = [];
+                    nodes.set(row[opts.idKey], node);
+                });
+
+                // Follow each parent chain once; meeting a row already on the current
+                // chain means a loop, broken at its earliest row
+                const order = new Map();
+                const state = new Map();
+                const breaks = new Set();
+                list.forEach(function(row, index) {
+                    if (!order.has(row[opts.idKey])) {
+                        order.set(row[opts.idKey], index);
+                    }
+                });
+                nodes.forEach(function(node, id) {
+                    const chain = [];
+                    let current = id;
+                    while (nodes.has(current) && !state.has(current)) {
+                        state.set(current, 'visiting');
+                        chain.push(current);
+                        current = nodes.get(current)[opts.parentKey];
+                    }
+                    if (state.get(current) === 'visiting') {
+                        const loop = chain.slice(chain.indexOf(current));
+                        breaks.add(loop.reduce(function(first, member) {
+                            return order.get(member) < order.get(first) ? member : first;
+                        }));
+                    }
+                    chain.forEach(function(member) {
+                        state.set(member, 'done');
+                    });
+                });
+
+                list.forEach(function(row) {
+                    const node = nodes.get(row[opts.idKey]);
+                    const parentId = row[opts.parentKey];
+                    const hasParentRef = parentId !== null && parentId !== undefined;
+
+                    if (hasParentRef && nodes.has(parentId) && !breaks.has(row[opts.idKey])) {
+                        nodes.get(parentId)[opts.childrenKey].push(node);
+                    } else if (!hasParentRef || opts.orphans === 'root') {
+                        roots.push(node);
+                    }
+                });
+
+                return roots;
+            },
+
+            /**
+             * Flatten a tree back into rows with parent references
+             * @param {Array|Object} tree - The tree
+             * @param {Object} options - Tree options, plus depthKey (also store each row's depth)
+             * @returns {Array} Rows in depth-first order, without the children field
+             */
+            flatten: function(tree, options) {
+                const opts = this.resolveOptions(options);
+                const depthKey = options && options.depthKey;
+                const rows = [];
+
+                this.walk(tree, function(node, info) {
+                    const row = {};
+                    for (const key in node) {
+                        if (node.hasOwnProperty(key) && key !== opts.childrenKey) {
+                            row[key] = node[key];
+                        }
+                    }
+                    if (info.parent) {
+                        row[opts.parentKey] = info.parent[opts.idKey];
+                    } else if (!row.hasOwnProperty(opts.parentKey)) {
+                        row[opts.parentKey] = null;
+                    }
+                    if (depthKey) {
+                        row[depthKey] = info.depth;
+                    }
+                    rows.push(row);
+                }, options);
+
+                return rows;
+            },
+
+            /**
+             * Visit every node; return false from the callback to stop early
+             * @param {Array|Object} tree - The tree
+             * @param {Function} callback - Called with (node, { parent, depth, path })
+             * @param {Object} options - Tree options, plus strategy ('depth' or 'breadth')
+             * @returns {boolean} True if the walk was stopped early
+             */
+            walk: function(tree, callback, options) {
+                const opts = this.resolveOptions(options);
+                const roots = Array.isArray(tree) ? tree : [tree];
+                const pending = [];
+
+                for (let i = roots.length - 1; i >= 0; i--) {
+                    pending.push({ node: roots[i], parent: null, depth: 0, path: [] });
+                }
+                if (opts.strategy === 'breadth') {
+                    pending.reverse();
+                }
+
+                while (pending.length > 0) {
+                    const entry = opts.strategy === 'breadth' ? pending.shift() : pending.pop();
+                    if (entry.node === null || entry.node === undefined) continue;
+
+                    if (callback(entry.node, { parent: entry.parent, depth: entry.depth, path: entry.path }) === false) {
+                        return true;
+                    }
+
+                    const children = entry.node[opts.childrenKey];
+                    if (!Array.isArray(children) || children.length === 0) continue;
+
+                    const childPath = entry.path.concat([entry.node]);
+                    const childEntries = children.map(function(child) {
+                        return { node: child, parent: entry.node, depth: entry.depth + 1, path: childPath };
+                    });
+
+                    if (opts.strategy === 'breadth') {
+                        Array.prototype.push.apply(pending, childEntries);
+                    } else {
+                        Array.prototype.push.apply(pending, childEntries.reverse());
+                    }
+                }
+                return false;
+            },
+
+            /**
+             * Find the first node matching a predicate (or with the given id)
+             * @param {Array|Object} tree - The tree
+             * @param {Function|*} predicate - Predicate (node, info) or an id
+             * @param {Object} options - Tree options
+             * @returns {Object|undefined} The node
+             */
+            find: function(tree, predicate, options) {
+                const found = this.findWithPath(tree, predicate, options);
+                return found ? found.node : undefined;
+            },
+
+            /**
+             * Get the chain of nodes from a root down to the matching node (inclusive)
+             * @param {Array|Object} tree - The tree
+             * @param {Function|*} predicate - Predicate (node, info) or an id
+             * @param {Object} options - Tree options
+             * @returns {Array} Nodes from the root to the match, or [] when not found
+             */
+            pathTo: function(tree, predicate, options) {
+                const found = this.findWithPath(tree, predicate, options);
+                return found ? found.path.concat([found.node]) : [];
+            },
+
+            /**
+             * Locate a node and its ancestors
+             * @param {Array|Object} tree - The tree
+             * @param {Function|*} predicate - Predicate (node, info) or an id
+             * @param {Object} options - Tree options
+             * @returns {Object|null} { node, path } or null
+             */
+            findWithPath: function(tree, predicate, options) {
+                const opts = this.resolveOptions(options);
+                const test = typeof predicate === 'function' ? predicate : function(node) {
+                    return node[opts.idKey] === predicate;
+                };
+                let found = null;
+
+                this.walk(tree, function(node, info) {
+                    if (test(node, info)) {
+                        found = { node: node, path: info.path };
+                        return false;
+                    }
+                }, options);
+
+                return found;
+            },
+
+            /**
+             * Keep nodes matching a predicate together with all their ancestors
+             * @param {Array|Object} tree - The tree
+             * @param {Function} predicate - Predicate (node, info)
+             * @param {Object} options - Tree options, plus keepDescendants (keep whole subtrees of matches)
+             * @returns {Array} New tree (matched nodes and ancestors are copies)
+             */
+            filter: function(tree, predicate, options) {
+                const opts = this.resolveOptions(options);
+                const keepDescendants = Boolean(options && options.keepDescendants);
+
+                function visit(nodes, parent, depth, path) {
+                    const result = [];
+                    nodes.forEach(function(node) {
+                        if (node === null || node === undefined) return;
+                        const matched = predicate(node, { parent: parent, depth: depth, path: path });
+                        const children = Array.isArray(node[opts.childrenKey]) ? node[opts.childrenKey] : [];
+
+                        if (matched && keepDescendants) {
+                            result.push(node);
+                            return;
+                        }
+
+                        const keptChildren = visit(children, node, depth + 1, path.concat([node]));
+                        if (matched || keptChildren.length > 0) {
+                            const copy = Object.assign({}, node);
+                            copy[opts.childrenKey] = keptChildren;
+                            result.push(copy);
+                        }
+                    });
+                    return result;
+                }
+
+                return visit(Array.isArray(tree) ? tree : [tree], null, 0, []);
+            },
+
+            /**
+             * Map every node to a new shape; children are mapped and attached automatically
+             * @param {Array|Object} tree - The tree
+             * @param {Function} callback - Called with (node, info), returns the new node
+             * @param {Object} options - Tree options, plus targetChildrenKey (children field of the result)
+             * @returns {Array|Object} New tree (same root shape as the input)
+             */
+            map: function(tree, callback, options) {
+                const opts = this.resolveOptions(options);
+                const targetKey = (options && options.targetChildrenKey) || opts.childrenKey;
+
+                function visit(node, parent, depth, path) {
+                    let mapped = callback(node, { parent: parent, depth: depth, path: path });
+                    const children = node[opts.childrenKey];
+                    if (mapped !== null && typeof mapped === 'object' && Array.isArray(children)) {
+                        // Returning the node itself must not overwrite the input's children
+                        if (mapped === node) {
+                            mapped = Object.assign({}, node);
+                        }
+                        const childPath = path.concat([node]);
+                        mapped[targetKey] = children.map(function(child) {
+                            return visit(child, node, depth + 1, childPath);
+                        });
+                    }
+                    return mapped;
+                }
+
+                if (Array.isArray(tree)) {
+                    return tree.map(function(root) {
+                        return visit(root, null, 0, []);
+                    });
+                }
+                return visit(tree, null, 0, []);
+            },
+
+            /**
+             * Count nodes and leaves and measure the depth of a tree
+             * @param {Array|Object} tree - The tree
+             * @param {Object} options - Tree options
+             * @returns {Object} { nodes, leaves, depth } where depth is the number of levels
+             */
+            stats: function(tree, options) {
+                const opts = this.resolveOptions(options);
+                const stats = { nodes: 0, leaves: 0, depth: 0 };
+
+                this.walk(tree, function(node, info) {
+                    const children = node[opts.childrenKey];
+                    stats.nodes++;
+                    if (!Array.isArray(children) || children.length === 0) {
+                        stats.leaves++;
+                    }
+                    stats.depth = Math.max(stats.depth, info.depth + 1);
+                }, options);
+
+                return stats;
+            }
+        },
+
+        /**
+         * Query nested data with a JSONPath expression
+         *
+         * Supports $ (root), @ (current node in filters), .name / ['name'], wildcards
+         * (* / [*]), recursive descent (..), indexes ([0], [-1]), slices ([start:end:step]),
+         * unions (['a','b'] / [0,2]) and filters ([?(@.qty > 1 && @.type == 'book')]).
+         * Filters are parsed, never eval'd; they support == != < <= > >= =~ /regex/ && || !
+         * and parentheses.
+         *
+         * @param {*} obj - The data to query
+         * @param {string} expression - The JSONPath expression
+         * @param {Object} options - Options ({ paths: true } returns { path, pointer, value } entries,
+         *   where path is the key array (e.g. ['a.b', 0]) accepted by setIn/updateIn/removeIn and
+         *   pointer the JSON Pointer; keys are never joined, so keys containing dots stay unambiguous)
+         * @returns {Array} Matching values (or entries)
+         * @example
+         * OmniHelper.Data.select(store, '$.orders[*].items[?(@.qty > 1)].price');
+         */
+        select: function(obj, expression, options) {
+            const self = this;
+            const opts = options || {};
+            const segments = this.parseJSONPath(expression);
+            const nodes = this.evaluateJSONPath(obj, segments, obj);
+
+            return nodes.map(function(node) {
+                if (!opts.paths) return node.value;
+                return { path: node.keys, pointer: self.toPointer(node.keys), value: node.value };
+            });
+        },
+
+        /**
+         * Parse a JSONPath expression into segments
+         * @param {string} expression - The JSONPath expression
+         * @returns {Array} Segments ({ descendant, selectors })
+         */
+        parseJSONPath: function(expression) {
+            if (typeof expression !== 'string') {
+                throw new Error('JSONPath expression must be a string');
+            }
+
+            const text = expression;
+            let pos = 0;
+
+            function fail(message) {
+                throw new SyntaxError('Invalid JSONPath "' + text + '": ' + message + ' at position ' + pos);
+            }
+
+            function skipSpaces() {
+                while (text[pos] === ' ' || text[pos] === '\t') pos++;
+            }
+
+            function parseName() {
+                const match = /[A-Za-z_$\u00C0-\uFFFF][\w$\-\u00C0-\uFFFF]*/y;
+                match.lastIndex = pos;
+                const found = match.exec(text);
+                if (!found) fail('expected a property name');
+                pos += found[0].length;
+                return found[0];
+            }
+
+            function parseQuoted() {
+                const quote = text[pos];
+                let value = '';
+                pos++;
+                while (pos < text.length && text[pos] !== quote) {
+                    if (text[pos] === '\\') {
+                        pos++;
+                    }
+                    value += text[pos];
+                    pos++;
+                }
+                if (text[pos] !== quote) fail('unterminated string');
+                pos++;
+                return value;
+            }
+
+            function parsePathSegments(stopAtFilterEnd) {
+                const segments = [];
+                for (;;) {
+                    if (text.substr(pos, 2) === '..') {
+                        pos += 2;
+                        if (text[pos] === '[') {
+                            segments.push({ descendant: true, selectors: parseBracket() });
+                        } else if (text[pos] === '*') {
+                            pos++;
+                            segments.push({ descendant: true, selectors: [{ kind: 'wildcard' }] });
+                        } else {
+                            segments.push({ descendant: true, selectors: [{ kind: 'name', name: parseName() }] });
+                        }
+                    } else if (text[pos] === '.') {
+                        pos++;
+                        if (text[pos] === '*') {
+                            pos++;
+                            segments.push({ descendant: false, selectors: [{ kind: 'wildcard' }] });
+                        } else {
+                            segments.push({ descendant: false, selectors: [{ kind: 'name', name: parseName() }] });
+                        }
+                    } else if (text[pos] === '[') {
+                        segments.push({ descendant: false, selectors: parseBracket() });
+                    } else if (stopAtFilterEnd || pos >= text.length) {
+                        return segments;
+                    } else {
+                        fail('unexpected character "' + text[pos] + '"');
+                    }
+                }
+            }
+
+            function parseBracket() {
+                const selectors = [];
+                pos++;
+                for (;;) {
+                    skipSpaces();
+                    const char = text[pos];
+
+                    if (char === '*') {
+                        pos++;
+                        selectors.push({ kind: 'wildcard' });
+                    } else if (char === "'" || char === '"') {
+                        selectors.push({ kind: 'name', name: parseQuoted() });
+                    } else if (char === '?') {
+                        pos++;
+                        skipSpaces();
+                        const wrapped = text[pos] === '(';
+                        if (wrapped) pos++;
+                        const expr = parseOr();
+                        skipSpaces();
+                        if (wrapped) {
+                            if (text[pos] !== ')') fail('expected ")"');
+                            pos++;
+                        }
+                        selectors.push({ kind: 'filter', expr: expr });
+                    } else {
+                        const match = /(-?\d*)\s*(?::\s*(-?\d*)\s*(?::\s*(-?\d*))?)?/y;
+                        match.lastIndex = pos;
+                        const found = match.exec(text);
+                        if (!found || found[0] === '') {
+                            fail(char === undefined ? 'unexpected end of expression' : 'unexpected character "' + char + '"');
+                        }
+                        pos += found[0].length;
+                        if (found[0].indexOf(':') === -1) {
+                            selectors.push({ kind: 'index', index: Number(found[1]) });
+                        } else {
+                            selectors.push({
+                                kind: 'slice',
+                                start: found[1] === '' ? null : Number(found[1]),
+                                end: found[2] === '' || found[2] === undefined ? null : Number(found[2]),
+                                step: found[3] === '' || found[3] === undefined ? 1 : Number(found[3])
+                            });
+                        }
+                    }
+
+                    skipSpaces();
+                    if (text[pos] === ',') {
+                        pos++;
+                    } else if (text[pos] === ']') {
+                        pos++;
+                        return selectors;
+                    } else {
+                        fail('expected "," or "]"');
+                    }
+                }
+            }
+
+            function parseOr() {
+                let left = parseAnd();
+                skipSpaces();
+                while (text.substr(pos, 2) === '||') {
+                    pos += 2;
+                    left = { type: 'or', left: left, right: parseAnd() };
+                    skipSpaces();
+                }
+                return left;
+            }
+
+            function parseAnd() {
+                let left = parseUnary();
+                skipSpaces();
+                while (text.substr(pos, 2) === '&&') {
+                    pos += 2;
+                    left = { type: 'and', left: left, right: parseUnary() };
+                    skipSpaces();
+                }
+                return left;
+            }
+
+            function parseUnary() {
+                skipSpaces();
+                if (text[pos] === '!' && text[pos + 1] !== '=') {
+                    pos++;
+                    return { type: 'not', operand: parseUnary() };
+                }
+                const left = parsePrimary();
+                skipSpaces();
+                const operator = /(===|!==|==|!=|<=|>=|=~|<|>)/y;
+                operator.lastIndex = pos;
+                const found = operator.exec(text);
+                if (!found) return left;
+                pos += found[0].length;
+                return { type: 'compare', op: found[0].replace(/^(==|!=)=$/, '$1'), left: left, right: parsePrimary() };
+            }
+
+            function parsePrimary() {
+                skipSpaces();
+                const char = text[pos];
+
+                if (char === '(') {
+                    pos++;
+                    const inner = parseOr();
+                    skipSpaces();
+                    if (text[pos] !== ')') fail('expected ")"');
+                    pos++;
+                    return inner;
+                }
+                if (char === '@' || char === '$') {
+                    pos++;
+                    return { type: 'path', root: char, segments: parsePathSegments(true) };
+                }
+                if (char === "'" || char === '"') {
+                    return { type: 'literal', value: parseQuoted() };
+                }
+                if (char === '/') {
+                    const end = text.indexOf('/', pos + 1);
+                    if (end === -1) fail('unterminated regular expression');
+                    const flags = /[gimsuy]*/y;
+                    flags.lastIndex = end + 1;
+                    const flagText = flags.exec(text)[0];
+                    const regex = new RegExp(text.slice(pos + 1, end), flagText);
+                    pos = end + 1 + flagText.length;
+                    return { type: 'literal', value: regex };
+                }
+
+                const literal = /(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/y;
+                literal.lastIndex = pos;
+                const found = literal.exec(text);
+                if (!found) fail('unexpected character "' + (char || 'end of expression') + '"');
+                pos += found[0].length;
+                const values = { 'true': true, 'false': false, 'null': null };
+                return { type: 'literal', value: values.hasOwnProperty(found[0]) ? values[found[0]] : Number(found[0]) };
+            }
+
+            skipSpaces();
+            if (text[pos] === '$') {
+                pos++;
+            }
+            return parsePathSegments(false);
+        },
+
+        /**
+         * Evaluate parsed JSONPath segments
+         * @param {*} value - The starting value
+         * @param {Array} segments - Segments from parseJSONPath
+         * @param {*} root - The document root (for $ inside filters)
+         * @returns {Array} Nodes as { keys, value }
+         */
+        evaluateJSONPath: function(value, segments, root) {
+            const self = this;
+
+            function childrenOf(node) {
+                const value = node.value;
+                if (value === null || typeof value !== 'object') return [];
+                return Object.keys(value).map(function(key) {
+                    return { keys: node.keys.concat([Array.isArray(value) ? Number(key) : key]), value: value[key] };
+                });
+            }
+
+            // ancestors holds the objects on the current branch; a child pointing back
+            // to one of them is a cycle and is skipped instead of descended forever
+            function descendantsAndSelf(node, out, ancestors) {
+                const chain = ancestors || new Set();
+                out.push(node);
+                if (node.value === null || typeof node.value !== 'object') {
+                    return out;
+                }
+                chain.add(node.value);
+                childrenOf(node).forEach(function(child) {
+                    if (!chain.has(child.value)) {
+                        descendantsAndSelf(child, out, chain);
+                    }
+                });
+                chain.delete(node.value);
+                return out;
+            }
+
+            function evaluate(expr, current) {
+                switch (expr.type) {
+                    case 'literal':
+                        return expr.value;
+                    case 'path': {
+                        const start = expr.root === '@' ? current : root;
+                        const found = self.evaluateJSONPath(start, expr.segments, root);
+                        return found.length > 0 ? found[0].value : undefined;
+                    }
+                    case 'not':
+                        return !test(expr.operand, current);
+                    case 'and':
+                        return test(expr.left, current) && test(expr.right, current);
+                    case 'or':
+                        return test(expr.left, current) || test(expr.right, current);
+                    case 'compare': {
+                        const left = evaluate(expr.left, current);
+                        const right = evaluate(expr.right, current);
+                        switch (expr.op) {
+                            case '==':
+                                return OmniHelper.Utils.isEqual(left, right);
+                            case '!=':
+                                return !OmniHelper.Utils.isEqual(left, right);
+                            case '=~':
+                                return typeof left === 'string' && right instanceof RegExp && right.test(left);
+                            default:
+                                if (typeof left !== typeof right || (typeof left !== 'number' && typeof left !== 'string')) {
+                                    return false;
+                                }
+                                if (expr.op === '<') return left < right;
+                                if (expr.op === '<=') return left <= right;
+                                if (expr.op === '>') return left > right;
+                                return left >= right;
+                        }
+                    }
+                }
+                return undefined;
+            }
+
+            // In a boolean position a bare path is an existence test ([?(@.isbn)] keeps isbn: 0)
+            function test(expr, current) {
+                if (expr.type === 'path') {
+                    const start = expr.root === '@' ? current : root;
+                    return self.evaluateJSONPath(start, expr.segments, root).length > 0;
+                }
+                return Boolean(evaluate(expr, current));
+            }
+
+            function applySelector(node, selector, out) {
+                const value = node.value;
+                if (value === null || typeof value !== 'object') return;
+
+                switch (selector.kind) {
+                    case 'name':
+                        if (Object.prototype.hasOwnProperty.call(value, selector.name)) {
+                            out.push({ keys: node.keys.concat([selector.name]), value: value[selector.name] });
+                        }
+                        break;
+                    case 'wildcard':
+                        Array.prototype.push.apply(out, childrenOf(node));
+                        break;
+                    case 'index':
+                        if (Array.isArray(value)) {
+                            const index = selector.index < 0 ? value.length + selector.index : selector.index;
+                            if (index >= 0 && index < value.length) {
+                                out.push({ keys: node.keys.concat([index]), value: value[index] });
+                            }
+                        }
+                        break;
+                    case 'slice': {
+                        if (!Array.isArray(value) || selector.step === 0) break;
+                        const length = value.length;
+                        const step = selector.step;
+                        const normalize = function(i, fallback) {
+                            if (i === null) return fallback;
+                            return i < 0 ? Math.max(length + i, step > 0 ? 0 : -1) : Math.min(i, step > 0 ? length : length - 1);
+                        };
+                        const start = normalize(selector.start, step > 0 ? 0 : length - 1);
+                        const end = normalize(selector.end, step > 0 ? length : -1);
+                        for (let i = start; step > 0 ? i < end : i > end; i += step) {
+                            out.push({ keys: node.keys.concat([i]), value: value[i] });
+                        }
+                        break;
+                    }
+                    case 'filter':
+                        childrenOf(node).forEach(function(child) {
+                            if (test(selector.expr, child.value)) {
+                                out.push(child);
+                            }
+                        });
+                        break;
+                }
+            }
+
+            let nodes = [{ keys: [], value: value }];
+
+            segments.forEach(function(segment) {
+                const next = [];
+                nodes.forEach(function(node) {
+                    const targets = segment.descendant ? descendantsAndSelf(node, []) : [node];
+                    targets.forEach(function(target) {
+                        segment.selectors.forEach(function(selector) {
+                            applySelector(target, selector, next);
+                        });
+                    });
+                });
+                nodes = next;
+            });
+
+            return nodes;
+        },
+
+        // Deep-freeze results of produce/setIn/updateIn/removeIn/mergeIn (useful in development)
+        autoFreeze: false,
+
+        /**
+         * Create the next state by mutating a draft of the current one
+         *
+         * Only objects and arrays touched by the recipe are copied; every untouched
+         * branch keeps its identity, so reference-equality checks keep working.
+         * Plain objects and arrays are drafted; other objects (Date, Map, class
+         * instances) are passed through as-is and must not be mutated in place.
+         *
+         * @param {Object|Array} base - The current state
+         * @param {Function} recipe - function(draft) that mutates the draft (or returns a replacement)
+         * @param {Object} options - Options ({ freeze: boolean, defaults to Data.autoFreeze })
+         * @returns {Object|Array} The next state (the base itself when nothing changed)
+         * @example
+         * const next = OmniHelper.Data.produce(state, function(draft) {
+         *     draft.cart.items.push({ id: 3, qty: 1 });
+         * });
+         * // next.user === state.user
+         */
+        produce: function(base, recipe, options) {
+            if (typeof recipe !== 'function') {
+                throw new Error('Recipe must be a function');
+            }
+
+            const self = this;
+            const opts = options || {};
+            const freeze = opts.freeze !== undefined ? opts.freeze : this.autoFreeze;
+
+            if (!this.isDraftable(base)) {
+                const replaced = recipe(base);
+                return replaced !== undefined ? replaced : base;
+            }
+
+            const states = new WeakMap();
+            const revokers = [];
+
+            function source(state) {
+                return state.copy || state.base;
+            }
+
+            function markChanged(state) {
+                if (state.modified) return;
+                state.modified = true;
+                state.copy = Array.isArray(state.base) ? state.base.slice() : Object.assign({}, state.base);
+                state.children.forEach(function(child, key) {
+                    state.copy[key] = child;
+                });
+                if (state.parent) {
+                    markChanged(state.parent);
+                }
+            }
+
+            function createDraft(value, parent) {
+                const state = { base: value, copy: null, modified: false, parent: parent, children: new Map() };
+                const handle = Proxy.revocable(Array.isArray(value) ? [] : {}, {
+                    get: function(target, key) {
+                        if (state.children.has(key)) {
+                            return state.children.get(key);
+                        }
+                        const current = source(state);
+                        const child = current[key];
+                        if (!Object.prototype.hasOwnProperty.call(current, key) || !self.isDraftable(child) || states.has(child)) {
+                            return child;
+                        }
+                        if (child !== state.base[key]) {
+                            return child;
+                        }
+                        const draft = createDraft(child, state);
+                        state.children.set(key, draft);
+                        if (state.copy) {
+                            state.copy[key] = draft;
+                        }
+                        return draft;
+                    },
+                    set: function(target, key, value) {
+                        const current = source(state);
+                        if (current[key] === value && (value !== undefined || key in current)) {
+                            return true;
+                        }
+                        markChanged(state);
+                        state.copy[key] = value;
+                        state.children.delete(key);
+                        return true;
+                    },
+                    deleteProperty: function(target, key) {
+                        if (!Object.prototype.hasOwnProperty.call(source(state), key)) {
+                            return true;
+                        }
+                        markChanged(state);
+                        delete state.copy[key];
+                        state.children.delete(key);
+                        return true;
+                    },
+                    has: function(target, key) {
+                        return key in source(state);
+                    },
+                    ownKeys: function() {
+                        return Reflect.ownKeys(source(state));
+                    },
+                    getOwnPropertyDescriptor: function(target, key) {
+                        const descriptor = Reflect.getOwnPropertyDescriptor(source(state), key);
+                        // Report what the (unfrozen) proxy target allows, even when the base was frozen
+                        if (descriptor) {
+                            if ('value' in descriptor) {
+                                descriptor.writable = true;
+                            }
+                            if (!(Array.isArray(state.base) && key === 'length')) {
+                                descriptor.configurable = true;
+                            }
+                        }
+                        return descriptor;
+                    },
+                    getPrototypeOf: function() {
+                        return Object.getPrototypeOf(state.base);
+                    },
+                    defineProperty: function() {
+                        throw new Error('defineProperty is not supported on drafts');
+                    }
+                });
+                states.set(handle.proxy, state);
+                revokers.push(handle.revoke);
+                return handle.proxy;
+            }
+
+            function finalize(value, seen) {
+                if (states.has(value)) {
+                    const state = states.get(value);
+                    if (!state.modified) {
+                        return state.base;
+                    }
+                    const result = state.copy;
+                    Object.keys(result).forEach(function(key) {
+                        result[key] = finalize(result[key], seen);
+                    });
+                    return result;
+                }
+                // New plain values may still hold drafts assigned into them
+                if (self.isDraftable(value) && !seen.has(value)) {
+                    seen.add(value);
+                    Object.keys(value).forEach(function(key) {
+                        const item = value[key];
+                        if (item !== null && typeof item === 'object') {
+                            const finalized = finalize(item, seen);
+                            if (finalized !== item) {
+                                value[key] = finalized;
+                            }
+                        }
+                    });
+                }
+                return value;
+            }
+
+            const root = createDraft(base, null);
+            let result;
+            try {
+                const returned = recipe(root);
+                result = returned !== undefined && returned !== root ? returned : root;
+                result = finalize(result, new Set());
+            } finally {
+                revokers.forEach(function(revoke) {
+                    revoke();
+                });
+            }
+
+            return freeze && result !== base ? this.deepFreeze(result) : result;
+        },
+
+        /**
+         * Check whether a value can be drafted (plain object or array)
+         * @param {*} value - The value
+         * @returns {boolean} Whether draftable
+         */
+        isDraftable: function(value) {
+            if (value === null || typeof value !== 'object') return false;
+            if (Array.isArray(value)) return true;
+            const proto = Object.getPrototypeOf(value);
+            return proto === Object.prototype || proto === null;
+        },
+
+        /**
+         * Recursively freeze an object and everything it references
+         * @param {*} obj - The object
+         * @returns {*} The same object, frozen
+         */
+        deepFreeze: function(obj) {
+            if (obj === null || typeof obj !== 'object' || Object.isFrozen(obj)) {
+                return obj;
+            }
+            Object.freeze(obj);
+            Object.keys(obj).forEach(function(key) {
+                this.deepFreeze(obj[key]);
+            }, this);
+            return obj;
+        },
+
+        /**
+         * Split a dotted path or key array into keys
+         * @param {string|Array} path - The path ('a.b.0' or ['a', 'b', 0])
+         * @returns {Array} Keys
+         */
+        toPathKeys: function(path) {
+            if (Array.isArray(path)) return path;
+            if (path === '' || path === null || path === undefined) return [];
+            return String(path).split('.');
+        },
+
+        /**
+         * Immutably update the value at a path, copying only the containers along it
+         * @param {Object|Array} obj - The object
+         * @param {string|Array} path - The path ('a.b.0' or ['a', 'b', 0])
+         * @param {Function} updater - function(currentValue) returning the new value
+         * @param {Object} options - Options ({ freeze: boolean })
+         * @returns {Object|Array} The updated object (the original when the value is unchanged)
+         */
+        updateIn: function(obj, path, updater, options) {
+            const opts = options || {};
+            const keys = this.toPathKeys(path);
+
+            function update(node, index) {
+                if (index === keys.length) {
+                    return updater(node);
+                }
+                const key = keys[index];
+                const container = node !== null && typeof node === 'object' ? node : {};
+                const current = container[key];
+                const next = update(current, index + 1);
+                if (next === current) {
+                    return node;
+                }
+                const copy = Array.isArray(container) ? container.slice() : Object.assign({}, container);
+                copy[key] = next;
+                return copy;
+            }
+
+            const result = update(obj, 0);
+            const freeze = opts.freeze !== undefined ? opts.freeze : this.autoFreeze;
+            return freeze && result !== obj ? this.deepFreeze(result) : result;
+        },
+
+        /**
+         * Immutably set the value at a path
+         * @param {Object|Array} obj - The object
+         * @param {string|Array} path - The path
+         * @param {*} value - The new value
+         * @param {Object} options - Options ({ freeze: boolean })
+         * @returns {Object|Array} The updated object
+         */
+        setIn: function(obj, path, value, options) {
+            return this.updateIn(obj, path, function() {
+                return value;
+            }, options);
+        },
+
+        /**
+         * Immutably remove the value at a path (array items are spliced out)
+         * @param {Object|Array} obj - The object
+         * @param {string|Array} path - The path
+         * @param {Object} options - Options ({ freeze: boolean })
+         * @returns {Object|Array} The updated object (the original when the path does not exist)
+         */
+        removeIn: function(obj, path, options) {
+            const keys = this.toPathKeys(path);
+            if (keys.length === 0) return obj;
+
+            const last = keys[keys.length - 1];
+            return this.updateIn(obj, keys.slice(0, -1), function(parent) {
+                if (parent === null || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, last)) {
+                    return parent;
+                }
+                if (Array.isArray(parent)) {
+                    const copy = parent.slice();
+                    copy.splice(Number(last), 1);
+                    return copy;
+                }
+                const copy = Object.assign({}, parent);
+                delete copy[last];
+                return copy;
+            }, options);
+        },
+
+        /**
+         * Immutably shallow-merge an object into the value at a path
+         * @param {Object|Array} obj - The object
+         * @param {string|Array} path - The path
+         * @param {Object} source - The fields to merge
+         * @param {Object} options - Options ({ freeze: boolean })
+         * @returns {Object|Array} The updated object (the original when nothing changes)
+         */
+        mergeIn: function(obj, path, source, options) {
+            return this.updateIn(obj, path, function(current) {
+                const base = current !== null && typeof current === 'object' ? current : {};
+                const changed = Object.keys(source || {}).some(function(key) {
+                    return base[key] !== source[key] || !Object.prototype.hasOwnProperty.call(base, key);
+                });
+                return changed ? Object.assign({}, base, source) : current;
+            }, options);
+        }
+    };
+
+    /**
+     * ==========================================
+     * MODULE 2: SMART LOGGER
+     * ==========================================
+     */
+    OmniHelper.Log = {
         // Styles for different log types
         styles: {
             info: 'color: #3B82F6; background: #EBF5FF; padding: 4px 8px; border-radius: 4px; font-weight: bold;',
@@ -365,26 +4582,1051 @@
             custom: 'color: #374151; background: #F9FAFB; padding: 4px 8px; border-radius: 4px;'
         },
 
+        // Severity of each log type; types not listed here count as info
+        levels: {
+            trace: 10,
+            debug: 20,
+            info: 30,
+            success: 30,
+            warning: 40,
+            error: 50,
+            silent: 100
+        },
+
+        // Alternative level names accepted by setLevel()
+        levelAliases: {
+            warn: 'warning',
+            log: 'info',
+            none: 'silent'
+        },
+
+        // Shared logger settings and state (level and patterns are read from localStorage or the environment on first use)
+        config: {
+            level: 'debug',
+            namespaceLevels: [],
+            include: [],
+            exclude: [],
+            patterns: '',
+            patternFloor: 'info',
+            transports: null,
+            format: 'auto',
+            output: null,
+            redact: [],
+            censor: '[REDACTED]',
+            timers: {},
+            timings: {},
+            activeSpans: [],
+            spanCount: 0,
+            capture: null,
+            limits: null,
+            repeats: new Map(),
+            buckets: {},
+            loaded: false,
+            version: 0
+        },
+
+        // Namespace of this logger ('' for the root logger)
+        namespace: '',
+
+        // Fields bound to every entry of this logger (see child())
+        context: null,
+
+        // Redaction paths of this logger as key arrays (see child())
+        redactPaths: [],
+
+        // Cached threshold of this logger, recomputed when the config changes
+        cache: null,
+
+        /**
+         * Check if running in browser or Node.js
+         */
+        isBrowser: function() {
+            return typeof window !== 'undefined';
+        },
+
+        /**
+         * Create a namespaced logger
+         *
+         * The logger has every method of OmniHelper.Log and shares its settings.
+         * Calling create() on a namespaced logger nests the name ('cart' -> 'cart:checkout').
+         *
+         * @param {string} namespace - The namespace ('cart:checkout')
+         * @returns {Object} The logger
+         * @example
+         * const log = OmniHelper.Log.create('cart:checkout');
+         * log.debug('Applying coupon', coupon);
+         */
+        create: function(namespace) {
+            if (typeof namespace !== 'string' || namespace === '') {
+                throw new Error('Namespace must be a non-empty string');
+            }
+
+            const logger = Object.create(this);
+            logger.namespace = this.namespace ? this.namespace + ':' + namespace : namespace;
+            logger.cache = null;
+            return logger;
+        },
+
+        /**
+         * Set the minimum level that gets logged
+         * @param {string} level - trace, debug, info, warn, error or silent (null removes a namespace override)
+         * @param {string} namespace - Optional namespace or wildcard pattern ('cart:*'); defaults to
+         *   this logger's namespace, or the global level for the root logger
+         * @example
+         * OmniHelper.Log.setLevel('warn');
+         * OmniHelper.Log.setLevel('debug', 'cart:*');
+         */
+        setLevel: function(level, namespace) {
+            const config = this.loadConfig();
+            const target = namespace !== undefined ? namespace : this.namespace;
+
+            if (level !== null) {
+                this.levelValue(level, true);
+            }
+
+            if (target) {
+                config.namespaceLevels = config.namespaceLevels.filter(function(entry) {
+                    return entry.pattern !== target;
+                });
+                if (level !== null) {
+                    config.namespaceLevels.push({ pattern: target, regex: this.patternToRegex(target), level: level });
+                }
+            } else if (level !== null) {
+                config.level = level;
+            }
+            config.version++;
+        },
+
+        /**
+         * Get the effective level of this logger (or of a namespace)
+         * @param {string} namespace - Optional namespace
+         * @returns {string} The level name
+         */
+        getLevel: function(namespace) {
+            const config = this.loadConfig();
+            const target = namespace !== undefined ? namespace : this.namespace;
+            let level = config.level;
+
+            if (target) {
+                config.namespaceLevels.forEach(function(entry) {
+                    if (entry.regex.test(target)) {
+                        level = entry.level;
+                    }
+                });
+            }
+            return level;
+        },
+
+        /**
+         * Enable namespaces, replacing the current patterns
+         *
+         * Patterns are separated by commas or spaces, support * wildcards and
+         * are excluded with a leading '-' ('cart:*,-cart:poll'). With no include
+         * patterns every namespace is enabled. As in the debug package, patterns
+         * only gate debug output: a disabled namespace still logs at
+         * config.patternFloor ('info' by default) and above, so warnings and
+         * errors are never hidden. The root logger is never affected.
+         *
+         * @param {string} patterns - The patterns ('' enables every namespace)
+         */
+        enable: function(patterns) {
+            const config = this.loadConfig();
+            config.include = [];
+            config.exclude = [];
+            config.patterns = '';
+            this.addPatterns(patterns || '');
+        },
+
+        /**
+         * Disable namespaces, keeping the current patterns
+         * @param {string} patterns - The patterns to exclude ('cart:poll,ws:*')
+         */
+        disable: function(patterns) {
+            const excluded = String(patterns || '').split(/[\s,]+/).filter(Boolean).map(function(pattern) {
+                return pattern.charAt(0) === '-' ? pattern : '-' + pattern;
+            });
+            this.loadConfig();
+            this.addPatterns(excluded.join(','));
+        },
+
+        /**
+         * Add include/exclude patterns to the config
+         * @param {string} patterns - The patterns
+         */
+        addPatterns: function(patterns) {
+            const self = this;
+            const config = this.config;
+
+            String(patterns).split(/[\s,]+/).filter(Boolean).forEach(function(pattern) {
+                if (pattern.charAt(0) === '-') {
+                    config.exclude.push(self.patternToRegex(pattern.slice(1)));
+                } else {
+                    config.include.push(self.patternToRegex(pattern));
+                }
+                config.patterns += (config.patterns ? ',' : '') + pattern;
+            });
+            config.version++;
+        },
+
+        /**
+         * Convert a wildcard pattern to a regex
+         * @param {string} pattern - The pattern ('cart:*')
+         * @returns {RegExp} The regex
+         */
+        patternToRegex: function(pattern) {
+            const source = pattern.split('*').map(function(part) {
+                return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            }).join('.*');
+            return new RegExp('^' + source + '$');
+        },
+
+        /**
+         * Check whether a namespace is enabled by the patterns (for levels below config.patternFloor)
+         * @param {string} namespace - The namespace
+         * @returns {boolean} Whether enabled
+         */
+        isNamespaceEnabled: function(namespace) {
+            const config = this.loadConfig();
+            if (!namespace) return true;
+
+            const test = function(regex) {
+                return regex.test(namespace);
+            };
+            if (config.exclude.some(test)) return false;
+            return config.include.length === 0 || config.include.some(test);
+        },
+
+        /**
+         * Read the level and patterns from localStorage ('omnihelper:level', 'omnihelper:debug'
+         * or 'debug') in the browser, or the environment (OMNIHELPER_LOG_LEVEL, OMNIHELPER_DEBUG
+         * or DEBUG, and OMNIHELPER_LOG_FORMAT) in Node. Runs once, before the first setting or log call.
+         * @returns {Object} The config
+         */
+        loadConfig: function() {
+            const config = this.config;
+            if (config.loaded) return config;
+            config.loaded = true;
+            config.transports = [this.transports.console()];
+
+            let level = null;
+            let patterns = null;
+            let format = null;
+            try {
+                if (typeof window !== 'undefined' && window.localStorage) {
+                    level = window.localStorage.getItem('omnihelper:level');
+                    patterns = window.localStorage.getItem('omnihelper:debug') || window.localStorage.getItem('debug');
+                } else if (typeof process !== 'undefined' && process.env) {
+                    level = process.env.OMNIHELPER_LOG_LEVEL || null;
+                    patterns = process.env.OMNIHELPER_DEBUG || process.env.DEBUG || null;
+                    format = process.env.OMNIHELPER_LOG_FORMAT || null;
+                }
+            } catch (e) {
+                // Storage can be unavailable (privacy mode, sandboxed iframes)
+            }
+
+            if (level && this.levelValue(level) !== undefined) {
+                config.level = level;
+            }
+            if (patterns) {
+                this.addPatterns(patterns);
+            }
+            if (format && this.outputFormats.indexOf(format) !== -1) {
+                config.format = format;
+            }
+            config.version++;
+            return config;
+        },
+
+        // Output formats accepted by setFormat()
+        outputFormats: ['auto', 'pretty', 'json'],
+
+        /**
+         * Choose how the console transport writes entries
+         *
+         * 'pretty' is the styled/colored text output, 'json' writes one JSON line
+         * per entry (see formatJSON) and 'auto' (the default) picks 'json' in Node
+         * when stdout is not a TTY, unless FORCE_COLOR is set.
+         *
+         * @param {string} format - 'auto', 'pretty' or 'json'
+         */
+        setFormat: function(format) {
+            if (this.outputFormats.indexOf(format) === -1) {
+                throw new Error('Unknown log format "' + format + '"');
+            }
+            const config = this.loadConfig();
+            config.format = format;
+            config.output = null;
+        },
+
+        /**
+         * Resolve the console output format and color support (cached)
+         *
+         * Colors follow the NO_COLOR and FORCE_COLOR conventions: NO_COLOR turns
+         * them off, FORCE_COLOR turns them on even when stdout is not a TTY (and
+         * wins over NO_COLOR, as in Node itself); FORCE_COLOR=0 turns them off.
+         *
+         * @returns {Object} { format: 'pretty'|'json', colors: boolean }
+         */
+        getOutput: function() {
+            const config = this.loadConfig();
+            if (config.output) return config.output;
+
+            let format = config.format;
+            let colors = false;
+
+            if (!this.isBrowser() && typeof process !== 'undefined') {
+                const env = process.env || {};
+                const tty = Boolean(process.stdout && process.stdout.isTTY);
+                const force = env.FORCE_COLOR !== undefined && env.FORCE_COLOR !== '0' && env.FORCE_COLOR !== 'false';
+                colors = force || (env.FORCE_COLOR === undefined && !env.NO_COLOR && tty);
+                if (format === 'auto') {
+                    format = tty || force ? 'pretty' : 'json';
+                }
+            }
+
+            config.output = { format: format === 'json' ? 'json' : 'pretty', colors: colors };
+            return config.output;
+        },
+
+        /**
+         * Get the numeric severity of a level or log type
+         * @param {string} level - The level name
+         * @param {boolean} strict - Throw for unknown names instead of returning undefined
+         * @returns {number} The severity
+         */
+        levelValue: function(level, strict) {
+            const name = this.levelAliases[level] || level;
+            if (this.levels.hasOwnProperty(name)) {
+                return this.levels[name];
+            }
+            if (strict) {
+                throw new Error('Unknown log level "' + level + '"');
+            }
+            return undefined;
+        },
+
+        /**
+         * Get the minimum severity this logger outputs (cached until settings change)
+         * @returns {number} The threshold
+         */
+        threshold: function() {
+            const cache = this.cache;
+            if (cache !== null && cache.version === this.config.version) {
+                return cache.value;
+            }
+
+            let value = this.levelValue(this.getLevel(), true);
+            if (!this.isNamespaceEnabled(this.namespace)) {
+                // Patterns never hide warnings or errors
+                const floor = Math.min(this.levelValue(this.config.patternFloor, true), this.levels.warning);
+                value = Math.max(value, floor);
+            }
+            this.cache = { version: this.config.version, value: value };
+            return value;
+        },
+
+        /**
+         * Check whether a level would be logged by this logger
+         * @param {string} level - The level or log type
+         * @returns {boolean} Whether enabled
+         * @example
+         * if (log.isEnabled('debug')) log.debug('State', expensiveSnapshot());
+         */
+        isEnabled: function(level) {
+            const value = this.levelValue(level);
+            return (value === undefined ? this.levels.info : value) >= this.threshold();
+        },
+
+        /**
+         * Log a message with optional data
+         * @param {string|Function} message - The message to log (a function is only called when the level is enabled)
+         * @param {string} type - The log type (info, success, warning, error, debug)
+         * @param {*} data - Optional data to log
+         */
+        log: function(message, type, data) {
+            const logType = type || 'info';
+            const value = this.levels[logType];
+            if ((value === undefined ? this.levels.info : value) < this.threshold()) {
+                return;
+            }
+
+            const limits = this.config.limits;
+            if (limits !== null && limits.sample !== null && limits.sample.hasOwnProperty(logType) &&
+                Math.random() >= limits.sample[logType]) {
+                return;
+            }
+
+            const entry = {
+                timestamp: new Date().toISOString(),
+                level: logType,
+                message: typeof message === 'function' ? message() : message,
+                namespace: this.namespace,
+                context: this.context,
+                data: data
+            };
+
+            const paths = this.config.redact.length > 0 ? this.redactPaths.concat(this.config.redact) : this.redactPaths;
+            if (paths.length > 0) {
+                const censor = this.censor !== undefined ? this.censor : this.config.censor;
+                entry.context = this.redact(entry.context, paths, censor);
+                entry.data = this.redact(entry.data, paths, censor);
+            }
+
+            if (limits !== null && !this.admit(entry)) {
+                return;
+            }
+            this.dispatch(entry);
+        },
+
+        /**
+         * Create a child logger that adds bound fields to every entry
+         *
+         * Children keep the parent's namespace and settings, merge their context
+         * over the parent's and add their redaction paths to the parent's.
+         *
+         * @param {Object} context - Fields to bind ({ requestId, userId })
+         * @param {Object} options - Options:
+         *   redact (paths to censor in the context and data: 'password', 'headers.authorization', '*.token'),
+         *   censor (replacement value or function(value, path), default '[REDACTED]')
+         * @returns {Object} The child logger
+         * @example
+         * const log = OmniHelper.Log.child({ requestId: req.id }, { redact: ['headers.authorization'] });
+         * log.info('Request received', { headers: req.headers });
+         */
+        child: function(context, options) {
+            if (context !== undefined && context !== null && (typeof context !== 'object' || Array.isArray(context))) {
+                throw new Error('Context must be an object');
+            }
+
+            const opts = options || {};
+            const logger = Object.create(this);
+            logger.context = Object.assign({}, this.context, context);
+            logger.redactPaths = this.redactPaths.concat(this.parseRedactPaths(opts.redact));
+            if (opts.censor !== undefined) {
+                logger.censor = opts.censor;
+            }
+            logger.cache = null;
+            return logger;
+        },
+
+        /**
+         * Set redaction paths applied by every logger
+         * @param {Array|string} paths - The paths ([] turns global redaction off)
+         * @param {Object} options - Options ({ censor: value or function(value, path) })
+         */
+        setRedaction: function(paths, options) {
+            const config = this.loadConfig();
+            config.redact = this.parseRedactPaths(paths);
+            if (options && options.censor !== undefined) {
+                config.censor = options.censor;
+            }
+        },
+
+        /**
+         * Split redaction paths into key arrays
+         * @param {Array|string} paths - Dotted paths or key arrays
+         * @returns {Array} Key arrays
+         */
+        parseRedactPaths: function(paths) {
+            if (paths === undefined || paths === null) return [];
+            return (Array.isArray(paths) ? paths : [paths]).map(function(path) {
+                return OmniHelper.Data.toPathKeys(path).map(String);
+            }).filter(function(keys) {
+                return keys.length > 0;
+            });
+        },
+
+        /**
+         * Censor values at the given paths without mutating the input
+         *
+         * Paths are relative to the value: 'password' only matches a top-level
+         * field, and * matches any single key ('*.token', 'users.*.email').
+         * Only the objects along a censored path are copied; Error instances are
+         * left untouched.
+         *
+         * @param {*} value - The value (context or data)
+         * @param {Array} paths - Key arrays from parseRedactPaths()
+         * @param {*} censor - Replacement value or function(value, path)
+         * @returns {*} The redacted value
+         */
+        redact: function(value, paths, censor) {
+            const replacement = censor !== undefined ? censor : '[REDACTED]';
+
+            function apply(node, keys, index) {
+                if (node === null || typeof node !== 'object' || node instanceof Error) {
+                    return node;
+                }
+
+                const key = keys[index];
+                const last = index === keys.length - 1;
+                const targets = key === '*' ? Object.keys(node) : Object.prototype.hasOwnProperty.call(node, key) ? [key] : [];
+                let copy = node;
+
+                targets.forEach(function(target) {
+                    const current = node[target];
+                    const next = last
+                        ? (typeof replacement === 'function' ? replacement(current, keys.join('.')) : replacement)
+                        : apply(current, keys, index + 1);
+                    if (next !== current) {
+                        if (copy === node) {
+                            copy = Array.isArray(node) ? node.slice() : Object.assign({}, node);
+                        }
+                        copy[target] = next;
+                    }
+                });
+                return copy;
+            }
+
+            return paths.reduce(function(result, keys) {
+                return apply(result, keys, 0);
+            }, value);
+        },
+
+        /**
+         * Send an entry to every transport whose level accepts it
+         *
+         * A transport that throws or rejects is reported through transportError()
+         * and never stops the remaining transports.
+         *
+         * @param {Object} entry - { timestamp, level, message, namespace, data }
+         */
+        dispatch: function(entry) {
+            const self = this;
+            const transports = this.loadConfig().transports;
+            const value = this.levelValue(entry.level);
+            const severity = value === undefined ? this.levels.info : value;
+
+            transports.forEach(function(transport) {
+                if (transport.level && severity < self.levelValue(transport.level, true)) {
+                    return;
+                }
+                try {
+                    const output = typeof transport.format === 'function' ? transport.format(entry) : entry;
+                    const result = transport.write(output, entry);
+                    if (result && typeof result.then === 'function') {
+                        result.then(null, function(error) {
+                            self.transportError(transport, error);
+                        });
+                    }
+                } catch (error) {
+                    self.transportError(transport, error);
+                }
+            });
+        },
+
+        /**
+         * Configure duplicate suppression, rate limiting and sampling
+         *
+         * dedupe: identical messages (same level, namespace and message; data is
+         * ignored) are logged once, then counted until no repeat arrives for
+         * `window` ms, when a "message repeated N times" summary is logged
+         * (at the latest every `maxWait` ms while repeats continue).
+         *
+         * rateLimit: a token bucket per level, namespace or both; each entry takes
+         * a token, buckets refill at `rate` tokens per second up to `burst`, and the
+         * number of dropped entries is logged as soon as a token is available again.
+         * Entries at error level and above are never rate limited, so failures
+         * (including captureErrors reports) always get through.
+         *
+         * sample: the fraction of entries kept per level ({ debug: 0.1 }); the rest
+         * are dropped before the message is even built.
+         *
+         * @param {Object} options - Options:
+         *   dedupe (true or { window: ms (default 1000), maxWait: ms (default 30000) }),
+         *   rateLimit ({ rate (default 10), burst (default 20), by: 'level' | 'namespace' | 'level+namespace'
+         *   (default 'level'), levels: levels it applies to (default every level below error) }),
+         *   sample ({ level: fraction between 0 and 1 }); null or {} turns everything off
+         * @example
+         * OmniHelper.Log.setLimits({
+         *     dedupe: { window: 2000 },
+         *     rateLimit: { rate: 5, burst: 50, by: 'namespace', levels: ['debug', 'info', 'warn'] },
+         *     sample: { debug: 0.1 }
+         * });
+         */
+        setLimits: function(options) {
+            const self = this;
+            const opts = options || {};
+            const config = this.loadConfig();
+            let sample = null;
+            let rateLimit = null;
+
+            if (opts.sample) {
+                sample = {};
+                Object.keys(opts.sample).forEach(function(level) {
+                    const fraction = opts.sample[level];
+                    self.levelValue(level, true);
+                    if (typeof fraction !== 'number' || fraction < 0 || fraction > 1) {
+                        throw new Error('Sample rate for "' + level + '" must be a number between 0 and 1');
+                    }
+                    sample[self.levelAliases[level] || level] = fraction;
+                });
+            }
+
+            if (opts.rateLimit) {
+                rateLimit = Object.assign({ rate: 10, burst: 20, by: 'level' }, opts.rateLimit);
+                if (['level', 'namespace', 'level+namespace'].indexOf(rateLimit.by) === -1) {
+                    throw new Error('Rate limit "by" must be level, namespace or level+namespace');
+                }
+                if (!(rateLimit.rate > 0) || !(rateLimit.burst >= 1)) {
+                    throw new Error('Rate limit needs a positive rate and a burst of at least 1');
+                }
+                if (rateLimit.levels) {
+                    rateLimit.levels = rateLimit.levels.map(function(level) {
+                        self.levelValue(level, true);
+                        return self.levelAliases[level] || level;
+                    });
+                }
+            }
+
+            // Report what the previous settings were holding back before replacing them
+            this.flushSuppressed();
+            config.limits = opts.dedupe || rateLimit || sample ? {
+                dedupe: opts.dedupe ? Object.assign({ window: 1000, maxWait: 30000 }, opts.dedupe === true ? {} : opts.dedupe) : null,
+                rateLimit: rateLimit,
+                sample: sample
+            } : null;
+        },
+
+        /**
+         * Decide whether an entry passes deduplication and rate limiting
+         * @param {Object} entry - The entry
+         * @returns {boolean} Whether to dispatch it
+         */
+        admit: function(entry) {
+            const limits = this.config.limits;
+            if (limits.dedupe && !this.dedupe(entry, limits.dedupe)) {
+                return false;
+            }
+            if (limits.rateLimit && !this.takeToken(entry, limits.rateLimit)) {
+                return false;
+            }
+            return true;
+        },
+
+        /**
+         * Track repeats of a message
+         * @param {Object} entry - The entry
+         * @param {Object} settings - { window, maxWait }
+         * @returns {boolean} True for the first occurrence, false for repeats
+         */
+        dedupe: function(entry, settings) {
+            const self = this;
+            const repeats = this.config.repeats;
+            const key = entry.level + '\u0000' + entry.namespace + '\u0000' + String(entry.message);
+            const now = Date.now();
+            let state = repeats.get(key);
+
+            if (state && now - state.first >= settings.maxWait) {
+                this.emitRepeats(key);
+                state = null;
+            }
+            if (state) {
+                state.count++;
+                clearTimeout(state.timer);
+            } else {
+                state = { entry: entry, count: 0, first: now, timer: null };
+                repeats.set(key, state);
+            }
+
+            state.timer = setTimeout(function() {
+                self.emitRepeats(key);
+            }, settings.window);
+            // Do not keep a Node process alive for a pending summary
+            if (state.timer && typeof state.timer.unref === 'function') {
+                state.timer.unref();
+            }
+            return state.count === 0;
+        },
+
+        /**
+         * Log the "repeated N times" summary of a message and forget it
+         * @param {string} key - The dedupe key
+         */
+        emitRepeats: function(key) {
+            const repeats = this.config.repeats;
+            const state = repeats.get(key);
+            if (!state) return;
+
+            clearTimeout(state.timer);
+            repeats.delete(key);
+            if (state.count > 0) {
+                this.dispatch(Object.assign({}, state.entry, {
+                    timestamp: new Date().toISOString(),
+                    message: state.entry.message + ' (message repeated ' + state.count + ' times)',
+                    data: { repeated: state.count }
+                }));
+            }
+        },
+
+        /**
+         * Take a token from the entry's bucket
+         * @param {Object} entry - The entry
+         * @param {Object} settings - { rate, burst, by, levels }
+         * @returns {boolean} Whether a token was available
+         */
+        takeToken: function(entry, settings) {
+            const self = this;
+            if (this.levels[entry.level] >= this.levels.error) {
+                return true;
+            }
+            if (settings.levels && settings.levels.indexOf(entry.level) === -1) {
+                return true;
+            }
+
+            const buckets = this.config.buckets;
+            const key = settings.by === 'level' ? entry.level
+                : settings.by === 'namespace' ? entry.namespace
+                    : entry.level + '\u0000' + entry.namespace;
+            const now = Date.now();
+            const bucket = buckets[key] || (buckets[key] = { tokens: settings.burst, last: now, dropped: 0, entry: null, timer: null });
+
+            bucket.tokens = Math.min(settings.burst, bucket.tokens + (now - bucket.last) / 1000 * settings.rate);
+            bucket.last = now;
+
+            if (bucket.tokens < 1) {
+                bucket.dropped++;
+                bucket.entry = entry;
+                if (bucket.timer === null) {
+                    // Report the drops when the next token is due, even if nothing else is logged
+                    bucket.timer = setTimeout(function() {
+                        self.emitDropped(bucket);
+                    }, Math.ceil((1 - bucket.tokens) / settings.rate * 1000));
+                    if (typeof bucket.timer.unref === 'function') {
+                        bucket.timer.unref();
+                    }
+                }
+                return false;
+            }
+
+            bucket.tokens--;
+            this.emitDropped(bucket);
+            return true;
+        },
+
+        /**
+         * Log how many entries a bucket dropped since its last summary
+         * @param {Object} bucket - The bucket
+         */
+        emitDropped: function(bucket) {
+            clearTimeout(bucket.timer);
+            bucket.timer = null;
+            if (bucket.dropped === 0) return;
+
+            this.dispatch(Object.assign({}, bucket.entry, {
+                timestamp: new Date().toISOString(),
+                message: 'Rate limit dropped ' + bucket.dropped + ' log entries',
+                data: { dropped: bucket.dropped }
+            }));
+            bucket.dropped = 0;
+            bucket.entry = null;
+        },
+
+        /**
+         * Log every pending repeat and rate-limit summary now
+         */
+        flushSuppressed: function() {
+            const self = this;
+            const config = this.loadConfig();
+
+            Array.from(config.repeats.keys()).forEach(function(key) {
+                self.emitRepeats(key);
+            });
+            Object.keys(config.buckets).forEach(function(key) {
+                self.emitDropped(config.buckets[key]);
+            });
+            config.buckets = {};
+        },
+
+        /**
+         * Report a failing transport (written straight to console.error to avoid loops)
+         * @param {Object} transport - The transport
+         * @param {Error} error - The failure
+         */
+        transportError: function(transport, error) {
+            if (typeof console !== 'undefined' && console.error) {
+                console.error('[OmniHelper.Log] Transport "' + (transport.name || 'anonymous') + '" failed:', error);
+            }
+        },
+
+        /**
+         * Add a transport
+         * @param {Object} transport - { name, level, format(entry), write(output, entry), flush(), close() }
+         * @returns {Object} The transport
+         * @example
+         * OmniHelper.Log.addTransport(OmniHelper.Log.transports.http('http://localhost:4318/logs', { level: 'warn' }));
+         */
+        addTransport: function(transport) {
+            if (!transport || typeof transport.write !== 'function') {
+                throw new Error('Transport must have a write function');
+            }
+            if (transport.level) {
+                this.levelValue(transport.level, true);
+            }
+            this.loadConfig().transports.push(transport);
+            return transport;
+        },
+
+        /**
+         * Remove a transport (closing it when it supports close())
+         * @param {Object|string} transport - The transport or its name
+         * @returns {boolean} Whether a transport was removed
+         */
+        removeTransport: function(transport) {
+            const config = this.loadConfig();
+            const before = config.transports.length;
+
+            config.transports = config.transports.filter(function(item) {
+                const matched = typeof transport === 'string' ? item.name === transport : item === transport;
+                if (matched && typeof item.close === 'function') {
+                    // close() may flush (http); a failing flush is reported like a failing write
+                    Promise.resolve().then(function() {
+                        return item.close();
+                    }).then(null, function(error) {
+                        OmniHelper.Log.transportError(item, error);
+                    });
+                }
+                return !matched;
+            });
+            return config.transports.length !== before;
+        },
+
+        /**
+         * Replace all transports
+         * @param {Array} transports - The new transports ([] silences all output)
+         */
+        setTransports: function(transports) {
+            const self = this;
+            const config = this.loadConfig();
+            config.transports.slice().forEach(function(transport) {
+                self.removeTransport(transport);
+            });
+            (transports || []).forEach(function(transport) {
+                self.addTransport(transport);
+            });
+        },
+
+        /**
+         * Get the active transports
+         * @returns {Array} The transports
+         */
+        getTransports: function() {
+            return this.loadConfig().transports.slice();
+        },
+
+        /**
+         * Log pending repeat/rate-limit summaries and flush buffered transports
+         * @returns {Promise} Resolves when every transport has flushed
+         */
+        flush: function() {
+            const self = this;
+            this.flushSuppressed();
+            return Promise.all(this.loadConfig().transports.map(function(transport) {
+                if (typeof transport.flush !== 'function') return null;
+                return Promise.resolve().then(function() {
+                    return transport.flush();
+                }).then(null, function(error) {
+                    self.transportError(transport, error);
+                });
+            }));
+        },
+
+        /**
+         * Format an entry as a single plain-text line
+         * @param {Object} entry - The entry
+         * @returns {string} '2024-01-01T00:00:00.000Z INFO [ns] message {"data":1}'
+         */
+        formatText: function(entry) {
+            let line = entry.timestamp + ' ' + entry.level.toUpperCase() +
+                (entry.namespace ? ' [' + entry.namespace + ']' : '') + ' ' + entry.message;
+
+            this.displayData(entry).forEach(function(value) {
+                let data;
+                if (value instanceof Error) {
+                    data = value.stack || String(value);
+                } else {
+                    try {
+                        data = JSON.stringify(value);
+                    } catch (e) {
+                        data = String(value);
+                    }
+                }
+                line += ' ' + data;
+            });
+            return line;
+        },
+
+        /**
+         * Get the values to print after the message in text output
+         * @param {Object} entry - The entry
+         * @returns {Array} The data merged with the bound context when both are plain objects,
+         *   otherwise the data and the context as separate values
+         */
+        displayData: function(entry) {
+            const data = entry.data;
+            const context = entry.context;
+            const hasContext = context && Object.keys(context).length > 0;
+
+            if (!hasContext) {
+                return data === undefined ? [] : [data];
+            }
+            if (data === undefined) {
+                return [context];
+            }
+            if (data !== null && typeof data === 'object' && !Array.isArray(data) && !(data instanceof Error)) {
+                return [Object.assign({}, context, data)];
+            }
+            return [data, context];
+        },
+
+        // Fields set by the logger itself; data fields with these names go under "data"
+        reservedFields: ['timestamp', 'level', 'message', 'namespace', 'error'],
+
+        /**
+         * Format an entry as a single JSON line
+         * @param {Object} entry - The entry
+         * @returns {string} '{"timestamp":"...","level":"info","message":"...",...}'
+         */
+        formatJSON: function(entry) {
+            return JSON.stringify(this.toRecord(entry));
+        },
+
+        /**
+         * Convert an entry to a flat, JSON-safe record
+         *
+         * Bound context fields and plain-object data are merged as top-level
+         * fields (data wins), an Error (as data or as data.error/data.err) becomes
+         * a serialized "error" field, and any other data is kept under "data".
+         * Circular references become '[Circular]'.
+         *
+         * @param {Object} entry - The entry
+         * @returns {Object} The record
+         */
+        toRecord: function(entry) {
+            const self = this;
+            const record = {
+                timestamp: entry.timestamp,
+                level: entry.level,
+                message: typeof entry.message === 'string' ? entry.message : this.toJSONValue(entry.message, [])
+            };
+            if (entry.namespace) {
+                record.namespace = entry.namespace;
+            }
+
+            const context = entry.context || {};
+            Object.keys(context).forEach(function(key) {
+                if (self.reservedFields.indexOf(key) === -1) {
+                    record[key] = self.toJSONValue(context[key], [context]);
+                }
+            });
+
+            const data = entry.data;
+            if (data instanceof Error) {
+                record.error = this.serializeError(data);
+            } else if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+                const nested = {};
+                Object.keys(data).forEach(function(key) {
+                    const value = data[key];
+                    if ((key === 'error' || key === 'err') && value instanceof Error && !record.error) {
+                        record.error = self.serializeError(value);
+                    } else if (self.reservedFields.indexOf(key) !== -1) {
+                        nested[key] = self.toJSONValue(value, [data]);
+                    } else {
+                        record[key] = self.toJSONValue(value, [data]);
+                    }
+                });
+                if (Object.keys(nested).length > 0) {
+                    record.data = nested;
+                }
+            } else if (data !== undefined) {
+                record.data = this.toJSONValue(data, []);
+            }
+
+            return record;
+        },
+
+        /**
+         * Serialize an error (and its cause chain) to a plain object
+         * @param {Error} error - The error
+         * @param {Array} seen - Errors already serialized (guards against cause cycles)
+         * @returns {Object} { name, message, stack, cause, ...own fields such as code }
+         */
+        serializeError: function(error, seen) {
+            const self = this;
+            const chain = seen || [];
+            const result = { name: error.name, message: error.message, stack: error.stack };
+
+            chain.push(error);
+            Object.keys(error).forEach(function(key) {
+                if (key !== 'cause') {
+                    result[key] = self.toJSONValue(error[key], [error]);
+                }
+            });
+            if (error.cause !== undefined) {
+                if (chain.indexOf(error.cause) !== -1) {
+                    result.cause = '[Circular]';
+                } else {
+                    result.cause = error.cause instanceof Error
+                        ? this.serializeError(error.cause, chain)
+                        : this.toJSONValue(error.cause, []);
+                }
+            }
+            return result;
+        },
+
         /**
-         * Check if running in browser or Node.js
+         * Convert a value into something JSON.stringify can always handle
+         * @param {*} value - The value
+         * @param {Array} ancestors - Objects above this value (for cycle detection)
+         * @returns {*} JSON-safe value
          */
-        isBrowser: function() {
-            return typeof window !== 'undefined';
+        toJSONValue: function(value, ancestors) {
+            const self = this;
+
+            if (typeof value === 'bigint') return value.toString();
+            if (typeof value === 'function' || typeof value === 'symbol') return String(value);
+            if (value === null || typeof value !== 'object') return value;
+            if (value instanceof Error) return this.serializeError(value);
+            if (typeof value.toJSON === 'function') return value.toJSON();
+            if (ancestors.indexOf(value) !== -1) return '[Circular]';
+
+            const path = ancestors.concat([value]);
+            if (Array.isArray(value)) {
+                return value.map(function(item) {
+                    return self.toJSONValue(item, path);
+                });
+            }
+            if (value instanceof Map) {
+                return self.toJSONValue(Object.fromEntries(value), path);
+            }
+            if (value instanceof Set) {
+                return self.toJSONValue(Array.from(value), path);
+            }
+
+            const result = {};
+            Object.keys(value).forEach(function(key) {
+                result[key] = self.toJSONValue(value[key], path);
+            });
+            return result;
         },
 
         /**
-         * Log a message with optional data
-         * @param {string} message - The message to log
-         * @param {string} type - The log type (info, success, warning, error, debug)
-         * @param {*} data - Optional data to log
-         */
-        log: function(message, type, data) {
-            const logType = type || 'info';
-            const style = this.styles[logType] || this.styles.custom;
-            
-            if (this.isBrowser()) {
-                console.log(`%c[${logType.toUpperCase()}]%c ${message}`, style, 'color: inherit;', data);
-            } else {
+         * Built-in transport factories
+         *
+         * Every factory accepts { name, level, format } in its options; level is
+         * the minimum level that transport receives and format(entry) turns an
+         * entry into what the transport writes.
+         */
+        transports: {
+            /**
+             * Console output (console.error for errors, console.warn for warnings): styled
+             * text, or one JSON line per entry in structured mode (see Log.setFormat)
+             * @param {Object} options - Transport options
+             * @returns {Object} The transport
+             */
+            console: function(options) {
+                const opts = options || {};
+                const Log = OmniHelper.Log;
+                const methods = { error: 'error', warning: 'warn' };
                 const colors = {
                     info: '\x1b[34m',
                     success: '\x1b[32m',
@@ -392,110 +5634,826 @@
                     error: '\x1b[31m',
                     debug: '\x1b[35m'
                 };
-                const color = colors[logType] || '\x1b[0m';
-                console.log(`${color}[${logType.toUpperCase()}]${color} ${message}\x1b[0m`, data);
+
+                return {
+                    name: opts.name || 'console',
+                    level: opts.level,
+                    format: opts.format,
+                    write: function(output, entry) {
+                        const method = console[methods[entry.level]] ? methods[entry.level] : 'log';
+                        const args = [];
+
+                        if (typeof output === 'string') {
+                            args.push(output);
+                        } else if (Log.getOutput().format === 'json') {
+                            args.push(Log.formatJSON(entry));
+                        } else {
+                            const logType = entry.level;
+                            const text = (entry.namespace ? '[' + entry.namespace + '] ' : '') + entry.message;
+                            if (Log.isBrowser()) {
+                                const style = Log.styles[logType] || Log.styles.custom;
+                                args.push(`%c[${logType.toUpperCase()}]%c ${text}`, style, 'color: inherit;');
+                            } else if (Log.getOutput().colors) {
+                                const color = colors[logType] || '\x1b[0m';
+                                args.push(`${color}[${logType.toUpperCase()}]\x1b[0m ${text}`);
+                            } else {
+                                args.push(`[${logType.toUpperCase()}] ${text}`);
+                            }
+                            Array.prototype.push.apply(args, Log.displayData(entry));
+                        }
+                        console[method].apply(console, args);
+                    }
+                };
+            },
+
+            /**
+             * In-memory ring buffer keeping the most recent entries
+             * @param {Object} options - Transport options, plus size (default 100)
+             * @returns {Object} The transport, with entries() and clear()
+             */
+            memory: function(options) {
+                const opts = options || {};
+                const size = opts.size || 100;
+                let buffer = [];
+                let start = 0;
+
+                return {
+                    name: opts.name || 'memory',
+                    level: opts.level,
+                    format: opts.format,
+                    write: function(output) {
+                        if (buffer.length < size) {
+                            buffer.push(output);
+                        } else {
+                            buffer[start] = output;
+                            start = (start + 1) % size;
+                        }
+                    },
+                    entries: function() {
+                        return buffer.slice(start).concat(buffer.slice(0, start));
+                    },
+                    clear: function() {
+                        buffer = [];
+                        start = 0;
+                    }
+                };
+            },
+
+            /**
+             * Write one line per entry to a writable stream (Node streams or anything with write())
+             * @param {Object} stream - The stream (process.stdout, fs.createWriteStream(...))
+             * @param {Object} options - Transport options (format is a function, 'text' (default)
+             *   or 'json'), plus end (end the stream on close, default false)
+             * @returns {Object} The transport
+             */
+            stream: function(stream, options) {
+                if (!stream || typeof stream.write !== 'function') {
+                    throw new Error('Stream must have a write function');
+                }
+
+                const opts = options || {};
+                const transport = {
+                    name: opts.name || 'stream',
+                    level: opts.level,
+                    format: typeof opts.format === 'function' ? opts.format : function(entry) {
+                        return opts.format === 'json' ? OmniHelper.Log.formatJSON(entry) : OmniHelper.Log.formatText(entry);
+                    },
+                    write: function(output) {
+                        stream.write((typeof output === 'string' ? output : JSON.stringify(output)) + '\n');
+                    },
+                    close: function() {
+                        if (opts.end && typeof stream.end === 'function') {
+                            stream.end();
+                        }
+                    }
+                };
+
+                // An unhandled stream 'error' event would crash the process
+                if (typeof stream.on === 'function') {
+                    stream.on('error', function(error) {
+                        OmniHelper.Log.transportError(transport, error);
+                    });
+                }
+                return transport;
+            },
+
+            /**
+             * Append lines to a file (Node.js only)
+             * @param {string} path - The file path
+             * @param {Object} options - Transport options
+             * @returns {Object} The transport
+             */
+            file: function(path, options) {
+                // module.require is invisible to bundlers, so web builds never try to resolve 'fs'
+                if (typeof module === 'undefined' || typeof module.require !== 'function') {
+                    throw new Error('The file transport requires Node.js');
+                }
+
+                const fs = module.require('fs');
+                const opts = Object.assign({ name: 'file' }, options, { end: true });
+                return this.stream(fs.createWriteStream(path, { flags: 'a' }), opts);
+            },
+
+            /**
+             * Send entries in batches to an HTTP endpoint as a JSON array (of Log.toRecord() records by default)
+             *
+             * Batches are posted with fetch and retried with exponential backoff; a
+             * batch that still fails is kept (up to maxBuffer entries) and sent again
+             * after flushInterval (not at all with flushInterval 0, until the next flush).
+             * When the page is being hidden or unloaded, pending entries go out with
+             * navigator.sendBeacon instead. close() makes a final attempt and stops retrying.
+             *
+             * @param {string} url - The collector URL
+             * @param {Object} options - Transport options, plus batchSize (default 20),
+             *   flushInterval (ms, default 5000), retries (default 3), retryDelay (ms, default 1000),
+             *   headers, maxBuffer (entries kept while the endpoint is failing, default 1000)
+             * @returns {Object} The transport, with flush() and close()
+             */
+            http: function(url, options) {
+                if (typeof url !== 'string' || url === '') {
+                    throw new Error('URL must be a non-empty string');
+                }
+
+                const opts = options || {};
+                const batchSize = opts.batchSize || 20;
+                const flushInterval = opts.flushInterval !== undefined ? opts.flushInterval : 5000;
+                const retries = opts.retries !== undefined ? opts.retries : 3;
+                const retryDelay = opts.retryDelay !== undefined ? opts.retryDelay : 1000;
+                const maxBuffer = opts.maxBuffer || 1000;
+                let queue = [];
+                let timer = null;
+                let closed = false;
+                let pending = Promise.resolve();
+
+                function post(body, attempt) {
+                    if (typeof fetch !== 'function') {
+                        return Promise.reject(new Error('fetch is not available'));
+                    }
+                    return fetch(url, {
+                        method: 'POST',
+                        headers: Object.assign({ 'Content-Type': 'application/json' }, opts.headers),
+                        body: body,
+                        keepalive: body.length < 60000
+                    }).then(function(response) {
+                        if (!response.ok) {
+                            throw new Error('HTTP ' + response.status);
+                        }
+                    }).then(null, function(error) {
+                        if (attempt >= retries) {
+                            throw error;
+                        }
+                        return new Promise(function(resolve) {
+                            setTimeout(resolve, retryDelay * Math.pow(2, attempt));
+                        }).then(function() {
+                            return post(body, attempt + 1);
+                        });
+                    });
+                }
+
+                function sendAll() {
+                    if (queue.length === 0) return undefined;
+                    const batch = queue.splice(0, batchSize);
+                    return post(JSON.stringify(batch), 0).then(sendAll, function(error) {
+                        // Keep the batch and try again after flushInterval, within maxBuffer
+                        queue = batch.concat(queue);
+                        if (queue.length > maxBuffer) {
+                            queue.splice(0, queue.length - maxBuffer);
+                        }
+                        schedule();
+                        throw error;
+                    });
+                }
+
+                function schedule() {
+                    if (timer !== null || closed || flushInterval <= 0) return;
+                    timer = setTimeout(function() {
+                        timer = null;
+                        transport.flush().then(null, function(error) {
+                            OmniHelper.Log.transportError(transport, error);
+                        });
+                    }, flushInterval);
+                    // Do not keep a Node process alive just to send logs
+                    if (timer && typeof timer.unref === 'function') {
+                        timer.unref();
+                    }
+                }
+
+                function beacon() {
+                    if (queue.length === 0 || typeof navigator === 'undefined' || !navigator.sendBeacon) return;
+                    const body = JSON.stringify(queue);
+                    if (navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+                        queue = [];
+                    }
+                }
+
+                function onVisibilityChange() {
+                    if (document.visibilityState === 'hidden') {
+                        beacon();
+                    }
+                }
+
+                const transport = {
+                    name: opts.name || 'http',
+                    level: opts.level,
+                    format: opts.format || function(entry) {
+                        return OmniHelper.Log.toRecord(entry);
+                    },
+                    write: function(output) {
+                        queue.push(output);
+                        if (queue.length > maxBuffer) {
+                            queue.splice(0, queue.length - maxBuffer);
+                        }
+                        if (queue.length >= batchSize) {
+                            return transport.flush();
+                        }
+                        schedule();
+                    },
+                    flush: function() {
+                        if (timer !== null) {
+                            clearTimeout(timer);
+                            timer = null;
+                        }
+                        // Send batches one after another so entries arrive in order
+                        pending = pending.then(null, function() {}).then(sendAll);
+                        return pending;
+                    },
+                    close: function() {
+                        closed = true;
+                        if (typeof window !== 'undefined' && window.removeEventListener) {
+                            window.removeEventListener('pagehide', beacon);
+                            document.removeEventListener('visibilitychange', onVisibilityChange);
+                        }
+                        return transport.flush();
+                    }
+                };
+
+                if (typeof window !== 'undefined' && window.addEventListener && typeof document !== 'undefined') {
+                    window.addEventListener('pagehide', beacon);
+                    document.addEventListener('visibilitychange', onVisibilityChange);
+                }
+                return transport;
+            }
+        },
+
+        /**
+         * Log info message
+         * @param {string} message - The message
+         * @param {*} data - Optional data
+         */
+        info: function(message, data) {
+            this.log(message, 'info', data);
+        },
+
+        /**
+         * Log success message
+         * @param {string} message - The message
+         * @param {*} data - Optional data
+         */
+        success: function(message, data) {
+            this.log(message, 'success', data);
+        },
+
+        /**
+         * Log warning message
+         * @param {string} message - The message
+         * @param {*} data - Optional data
+         */
+        warn: function(message, data) {
+            this.log(message, 'warning', data);
+        },
+
+        /**
+         * Log error message
+         * @param {string} message - The message
+         * @param {*} data - Optional data
+         */
+        error: function(message, data) {
+            this.log(message, 'error', data);
+        },
+
+        /**
+         * Log debug message
+         * @param {string} message - The message
+         * @param {*} data - Optional data
+         */
+        debug: function(message, data) {
+            this.log(message, 'debug', data);
+        },
+
+        /**
+         * Log data as a table
+         * @param {Array|Object} data - The data to display
+         * @param {Array} columns - Optional column names
+         */
+        table: function(data, columns) {
+            if (columns && Array.isArray(data)) {
+                const tableData = data.map(function(item) {
+                    const row = {};
+                    columns.forEach(function(col) {
+                        row[col] = item[col];
+                    });
+                    return row;
+                });
+                console.table(tableData);
+            } else {
+                console.table(data);
+            }
+        },
+
+        /**
+         * Start a log group
+         * @param {string} name - The group name
+         * @param {boolean} collapsed - Whether the group should be collapsed
+         */
+        group: function(name, collapsed) {
+            if (collapsed) {
+                console.groupCollapsed(name);
+            } else {
+                console.group(name);
+            }
+        },
+
+        /**
+         * End a log group
+         */
+        groupEnd: function() {
+            console.groupEnd();
+        },
+
+        /**
+         * Start a timer
+         * @param {string} name - The timer name
+         */
+        time: function(name) {
+            this.loadConfig().timers[name || 'default'] = this.now();
+        },
+
+        /**
+         * End a timer, record it in the timing report and log its duration at debug level
+         * @param {string} name - The timer name
+         * @returns {number|undefined} The duration in ms (undefined when the timer was not started)
+         */
+        timeEnd: function(name) {
+            const label = name || 'default';
+            const timers = this.loadConfig().timers;
+
+            if (!timers.hasOwnProperty(label)) {
+                this.warn('Timer "' + label + '" does not exist');
+                return undefined;
+            }
+
+            const duration = this.now() - timers[label];
+            delete timers[label];
+            this.recordTiming(label, duration);
+            this.debug(label + ': ' + duration.toFixed(3) + 'ms', { span: label, duration: duration });
+            return duration;
+        },
+
+        /**
+         * Measure a function as a named span
+         *
+         * The callback receives the span; call span.span(name, fn) inside async
+         * code to nest child spans (spans started synchronously inside another
+         * span are nested automatically). In browsers each span is also recorded
+         * with performance.mark/measure so it shows up in the DevTools timeline.
+         * Durations go to timingReport() and are logged at debug level.
+         *
+         * @param {string} name - The span name
+         * @param {Function} fn - function(span), may return a promise
+         * @param {Object} options - Options ({ parent: span })
+         * @returns {number|Promise} The duration in ms, or a promise of it for async functions
+         *   (errors thrown by fn are rethrown after the span is recorded)
+         * @example
+         * OmniHelper.Log.span('checkout', function(span) {
+         *     return span.span('payment', function() { return api.pay(cart); });
+         * }).then(function(ms) { ... });
+         */
+        span: function(name, fn, options) {
+            if (typeof name !== 'string' || name === '') {
+                throw new Error('Span name must be a non-empty string');
+            }
+            if (typeof fn !== 'function') {
+                throw new Error('Span callback must be a function');
+            }
+
+            const self = this;
+            const config = this.loadConfig();
+            const active = config.activeSpans;
+            const parent = (options && options.parent) || active[active.length - 1] || null;
+            const span = {
+                id: ++config.spanCount,
+                name: name,
+                parent: parent,
+                depth: parent ? parent.depth + 1 : 0,
+                path: parent ? parent.path + ' > ' + name : name,
+                span: function(childName, childFn) {
+                    return self.span(childName, childFn, { parent: span });
+                }
+            };
+
+            const marks = this.isBrowser() && typeof performance !== 'undefined' &&
+                typeof performance.mark === 'function' && typeof performance.measure === 'function';
+            const markName = 'omnihelper:' + span.path + '#' + span.id;
+            if (marks) {
+                performance.mark(markName + ':start');
+            }
+            const start = this.now();
+
+            function finish(error) {
+                const duration = self.now() - start;
+                if (marks) {
+                    try {
+                        performance.mark(markName + ':end');
+                        performance.measure(span.path, markName + ':start', markName + ':end');
+                        performance.clearMarks(markName + ':start');
+                        performance.clearMarks(markName + ':end');
+                    } catch (e) {
+                        // The timeline may have been cleared by other code
+                    }
+                }
+                self.recordTiming(name, duration);
+                const data = { span: name, path: span.path, duration: duration };
+                if (error) {
+                    data.error = error;
+                }
+                self.debug('Span "' + span.path + '" ' + (error ? 'failed' : 'finished') + ' in ' + duration.toFixed(3) + 'ms', data);
+                return duration;
+            }
+
+            let result;
+            active.push(span);
+            try {
+                result = fn(span);
+            } catch (error) {
+                finish(error);
+                throw error;
+            } finally {
+                active.splice(active.lastIndexOf(span), 1);
+            }
+
+            if (result && typeof result.then === 'function') {
+                return Promise.resolve(result).then(function() {
+                    return finish(null);
+                }, function(error) {
+                    finish(error);
+                    throw error;
+                });
+            }
+            return finish(null);
+        },
+
+        /**
+         * Get a high-resolution timestamp in ms
+         * @returns {number} The timestamp
+         */
+        now: function() {
+            return typeof performance !== 'undefined' && typeof performance.now === 'function'
+                ? performance.now()
+                : Date.now();
+        },
+
+        /**
+         * Add a duration to the timing statistics of a name
+         * @param {string} name - The span or timer name
+         * @param {number} duration - The duration in ms
+         */
+        recordTiming: function(name, duration) {
+            const timings = this.loadConfig().timings;
+            const timing = timings[name] || (timings[name] = { count: 0, total: 0, min: Infinity, max: -Infinity, samples: [] });
+
+            timing.count++;
+            timing.total += duration;
+            timing.min = Math.min(timing.min, duration);
+            timing.max = Math.max(timing.max, duration);
+            timing.samples.push(duration);
+            // Percentiles come from the most recent samples only
+            if (timing.samples.length > this.maxTimingSamples) {
+                timing.samples.shift();
+            }
+        },
+
+        // Number of recent durations kept per name for percentiles
+        maxTimingSamples: 1000,
+
+        /**
+         * Summarize recorded spans and timers per name
+         * @param {Object} options - Options:
+         *   print (show the report with Log.table, default true), reset (clear the statistics afterwards)
+         * @returns {Array} Rows of { name, count, min, max, avg, p95 } in ms, slowest total first
+         */
+        timingReport: function(options) {
+            const opts = options || {};
+            const config = this.loadConfig();
+            const round = function(value) {
+                return Math.round(value * 1000) / 1000;
+            };
+
+            const rows = Object.keys(config.timings).map(function(name) {
+                const timing = config.timings[name];
+                return {
+                    name: name,
+                    count: timing.count,
+                    min: round(timing.min),
+                    max: round(timing.max),
+                    avg: round(timing.total / timing.count),
+                    p95: round(OmniHelper.Stats.percentile(timing.samples, 95)),
+                    total: timing.total
+                };
+            }).sort(function(a, b) {
+                return b.total - a.total;
+            }).map(function(row) {
+                delete row.total;
+                return row;
+            });
+
+            if (opts.print !== false && rows.length > 0) {
+                this.table(rows);
+            }
+            if (opts.reset) {
+                config.timings = {};
+            }
+            return rows;
+        },
+
+        /**
+         * Capture uncaught errors and unhandled promise rejections
+         *
+         * Hooks window.onerror and 'unhandledrejection' in browsers, or
+         * 'uncaughtException' and 'unhandledRejection' in Node. Each error is
+         * normalized to an Error, deduplicated, logged with Log.error together
+         * with recent breadcrumbs (log entries, clicks and navigation) and passed
+         * to the configured sinks. Calling it again replaces the previous capture.
+         *
+         * @param {Object} options - Options:
+         *   sinks (functions(report) or transports receiving { kind, error, breadcrumbs, count, timestamp }),
+         *   breadcrumbs (number kept, default 20, 0 to disable), dom (record clicks and navigation, default true),
+         *   dedupeWindow (ms during which repeats of the same error are only counted, default 5000),
+         *   exit (Node: flush and exit with code 1 after an uncaught exception, default true)
+         * @returns {Object} { release(), breadcrumbs() }
+         * @example
+         * const capture = OmniHelper.Log.captureErrors({ sinks: [OmniHelper.Log.transports.http('/errors')] });
+         * // later
+         * capture.release();
+         */
+        captureErrors: function(options) {
+            const self = this;
+            const opts = options || {};
+            const config = this.loadConfig();
+            const sinks = opts.sinks || [];
+            const dedupeWindow = opts.dedupeWindow !== undefined ? opts.dedupeWindow : 5000;
+            const size = opts.breadcrumbs !== undefined ? opts.breadcrumbs : 20;
+            const seen = new Map();
+            const cleanups = [];
+
+            if (config.capture) {
+                config.capture.release();
+            }
+
+            // Breadcrumbs share one ring buffer so logs, clicks and navigation stay in order
+            const trail = size > 0 ? this.transports.memory({
+                name: 'breadcrumbs',
+                size: size,
+                format: function(entry) {
+                    return { type: 'log', timestamp: entry.timestamp, level: entry.level, namespace: entry.namespace, message: entry.message };
+                }
+            }) : null;
+
+            function addCrumb(crumb) {
+                if (trail) {
+                    crumb.timestamp = new Date().toISOString();
+                    trail.write(crumb);
+                }
+            }
+
+            function report(kind, value, details) {
+                const error = self.normalizeError(value, details);
+                const frame = String(error.stack || '').split('\n')[1] || '';
+                const key = kind + '|' + error.name + '|' + error.message + '|' + frame.trim();
+                const now = Date.now();
+                const previous = seen.get(key);
+
+                if (previous && now - previous.last < dedupeWindow) {
+                    previous.count++;
+                    previous.suppressed++;
+                    return;
+                }
+
+                const state = { last: now, count: previous ? previous.count + 1 : 1, suppressed: 0 };
+                seen.set(key, state);
+                if (seen.size > 100) {
+                    seen.delete(seen.keys().next().value);
+                }
+
+                const data = {
+                    kind: kind,
+                    error: error,
+                    count: state.count,
+                    breadcrumbs: trail ? trail.entries() : []
+                };
+                if (previous && previous.suppressed > 0) {
+                    data.repeated = previous.suppressed;
+                }
+
+                self.error((kind === 'rejection' ? 'Unhandled rejection: ' : 'Uncaught error: ') + error.message, data);
+
+                const payload = Object.assign({ timestamp: new Date().toISOString() }, data);
+                sinks.forEach(function(sink) {
+                    try {
+                        let result;
+                        if (typeof sink === 'function') {
+                            result = sink(payload);
+                        } else {
+                            const entry = { timestamp: payload.timestamp, level: 'error', message: error.message, namespace: self.namespace, context: self.context, data: data };
+                            result = sink.write(typeof sink.format === 'function' ? sink.format(entry) : entry, entry);
+                        }
+                        // A failed async sink (such as an HTTP flush) must not become a new unhandled rejection
+                        if (result && typeof result.then === 'function') {
+                            result.then(null, function(sinkError) {
+                                self.transportError(sink, sinkError);
+                            });
+                        }
+                    } catch (sinkError) {
+                        self.transportError(sink, sinkError);
+                    }
+                });
+            }
+
+            if (trail) {
+                config.transports.push(trail);
+                cleanups.push(function() {
+                    config.transports = config.transports.filter(function(transport) {
+                        return transport !== trail;
+                    });
+                });
+            }
+
+            if (this.isBrowser()) {
+                const previousOnError = window.onerror;
+                const onError = function(message, source, line, column, error) {
+                    report('error', error || message, { source: source, line: line, column: column });
+                    return typeof previousOnError === 'function'
+                        ? previousOnError.apply(this, arguments)
+                        : false;
+                };
+                const onRejection = function(event) {
+                    report('rejection', event.reason);
+                };
+                window.onerror = onError;
+                window.addEventListener('unhandledrejection', onRejection);
+                cleanups.push(function() {
+                    if (window.onerror === onError) {
+                        window.onerror = previousOnError || null;
+                    }
+                    window.removeEventListener('unhandledrejection', onRejection);
+                });
+
+                if (trail && opts.dom !== false) {
+                    cleanups.push(this.trackDomBreadcrumbs(addCrumb));
+                }
+            } else if (typeof process !== 'undefined' && typeof process.on === 'function') {
+                const onException = function(error) {
+                    report('error', error);
+                    if (opts.exit !== false) {
+                        const exit = function() {
+                            process.exit(1);
+                        };
+                        const timer = setTimeout(exit, 2000);
+                        self.flush().then(function() {
+                            clearTimeout(timer);
+                            exit();
+                        });
+                    }
+                };
+                const onRejection = function(reason) {
+                    report('rejection', reason);
+                };
+                process.on('uncaughtException', onException);
+                process.on('unhandledRejection', onRejection);
+                cleanups.push(function() {
+                    process.removeListener('uncaughtException', onException);
+                    process.removeListener('unhandledRejection', onRejection);
+                });
             }
-        },
 
-        /**
-         * Log info message
-         * @param {string} message - The message
-         * @param {*} data - Optional data
-         */
-        info: function(message, data) {
-            this.log(message, 'info', data);
+            const capture = {
+                release: function() {
+                    cleanups.splice(0).forEach(function(cleanup) {
+                        cleanup();
+                    });
+                    if (config.capture === capture) {
+                        config.capture = null;
+                    }
+                },
+                breadcrumbs: function() {
+                    return trail ? trail.entries() : [];
+                }
+            };
+            config.capture = capture;
+            return capture;
         },
 
         /**
-         * Log success message
-         * @param {string} message - The message
-         * @param {*} data - Optional data
+         * Stop capturing uncaught errors (same as calling release() on the capture handle)
          */
-        success: function(message, data) {
-            this.log(message, 'success', data);
+        releaseErrors: function() {
+            const config = this.loadConfig();
+            if (config.capture) {
+                config.capture.release();
+            }
         },
 
         /**
-         * Log warning message
-         * @param {string} message - The message
-         * @param {*} data - Optional data
+         * Record clicks and navigation (history API, popstate, hashchange) as breadcrumbs
+         * @param {Function} addCrumb - Called with each breadcrumb
+         * @returns {Function} Cleanup function
          */
-        warn: function(message, data) {
-            this.log(message, 'warning', data);
-        },
+        trackDomBreadcrumbs: function(addCrumb) {
+            const history = window.history;
+            const originals = {};
 
-        /**
-         * Log error message
-         * @param {string} message - The message
-         * @param {*} data - Optional data
-         */
-        error: function(message, data) {
-            this.log(message, 'error', data);
-        },
+            function describe(element) {
+                if (!element || !element.tagName) return String(element);
+                let text = element.tagName.toLowerCase();
+                if (element.id) text += '#' + element.id;
+                if (typeof element.className === 'string' && element.className.trim()) {
+                    text += '.' + element.className.trim().split(/\s+/).join('.');
+                }
+                const label = (element.textContent || '').trim().slice(0, 40);
+                return label ? text + ' "' + label + '"' : text;
+            }
 
-        /**
-         * Log debug message
-         * @param {string} message - The message
-         * @param {*} data - Optional data
-         */
-        debug: function(message, data) {
-            this.log(message, 'debug', data);
-        },
+            const onClick = function(event) {
+                addCrumb({ type: 'click', target: describe(event.target) });
+            };
+            const onNavigate = function() {
+                addCrumb({ type: 'navigation', url: window.location.href });
+            };
 
-        /**
-         * Log data as a table
-         * @param {Array|Object} data - The data to display
-         * @param {Array} columns - Optional column names
-         */
-        table: function(data, columns) {
-            if (columns && Array.isArray(data)) {
-                const tableData = data.map(function(item) {
-                    const row = {};
-                    columns.forEach(function(col) {
-                        row[col] = item[col];
-                    });
-                    return row;
+            document.addEventListener('click', onClick, true);
+            window.addEventListener('popstate', onNavigate);
+            window.addEventListener('hashchange', onNavigate);
+
+            if (history) {
+                ['pushState', 'replaceState'].forEach(function(method) {
+                    const original = history[method];
+                    if (typeof original !== 'function') return;
+                    originals[method] = original;
+                    history[method] = function() {
+                        const result = original.apply(this, arguments);
+                        onNavigate();
+                        return result;
+                    };
                 });
-                console.table(tableData);
-            } else {
-                console.table(data);
             }
-        },
 
-        /**
-         * Start a log group
-         * @param {string} name - The group name
-         * @param {boolean} collapsed - Whether the group should be collapsed
-         */
-        group: function(name, collapsed) {
-            if (collapsed) {
-                console.groupCollapsed(name);
-            } else {
-                console.group(name);
-            }
+            return function() {
+                document.removeEventListener('click', onClick, true);
+                window.removeEventListener('popstate', onNavigate);
+                window.removeEventListener('hashchange', onNavigate);
+                Object.keys(originals).forEach(function(method) {
+                    history[method] = originals[method];
+                });
+            };
         },
 
         /**
-         * End a log group
+         * Turn anything thrown or rejected into an Error with a stack
+         * @param {*} value - The thrown value
+         * @param {Object} details - Optional { source, line, column } from window.onerror
+         * @returns {Error} The error (the value itself when it already is one)
          */
-        groupEnd: function() {
-            console.groupEnd();
-        },
+        normalizeError: function(value, details) {
+            if (value instanceof Error) {
+                return value;
+            }
 
-        /**
-         * Start a timer
-         * @param {string} name - The timer name
-         */
-        time: function(name) {
-            console.time(name);
-        },
+            let message;
+            if (typeof value === 'string') {
+                message = value;
+            } else if (value && typeof value === 'object' && typeof value.message === 'string') {
+                message = value.message;
+            } else {
+                try {
+                    message = JSON.stringify(value);
+                } catch (e) {
+                    message = String(value);
+                }
+                message = message === undefined ? String(value) : message;
+            }
 
-        /**
-         * End a timer
-         * @param {string} name - The timer name
-         */
-        timeEnd: function(name) {
-            console.timeEnd(name);
+            const error = new Error(message);
+            if (value && typeof value === 'object' && typeof value.name === 'string') {
+                error.name = value.name;
+            }
+            if (value !== null && typeof value === 'object' && typeof value.stack === 'string') {
+                error.stack = value.stack;
+            } else {
+                // A stack captured here would only point into the logger
+                error.stack = error.name + ': ' + message +
+                    (details && details.source ? '\n    at ' + details.source + ':' + details.line + ':' + details.column : '');
+            }
+            error.original = value;
+            return error;
         },
 
         /**
@@ -2822,5 +8780,419 @@
         }
     };
 
+    /**
+     * ==========================================
+     * MODULE 6: STATISTICS
+     * ==========================================
+     */
+    OmniHelper.Stats = {
+        /**
+         * Extract the numeric values of an array
+         * @param {Array} array - Numbers, or items to read with key
+         * @param {string|Function} key - Optional key, dotted path or accessor (as in Data.groupBy)
+         * @returns {Array} Finite numbers (null, undefined and non-numeric values are skipped)
+         */
+        values: function(array, key) {
+            return this.positions(array, key).filter(function(value) {
+                return value !== null;
+            });
+        },
+
+        /**
+         * Read the numeric value of every item, keeping positions
+         * @param {Array} array - Numbers, or items to read with key
+         * @param {string|Function} key - Optional key, dotted path or accessor
+         * @returns {Array} One finite number or null (missing or non-numeric) per item
+         */
+        positions: function(array, key) {
+            if (!Array.isArray(array)) {
+                throw new Error('Input must be an array');
+            }
+
+            return array.map(function(item) {
+                const value = key === undefined || key === null ? item : OmniHelper.Data.resolveKey(item, key);
+                if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+                const number = Number(value);
+                return isFinite(number) ? number : null;
+            });
+        },
+
+        /**
+         * Sum of values
+         * @param {Array} array - The array
+         * @param {string|Function} key - Optional key or accessor
+         * @returns {number} Sum
+         */
+        sum: function(array, key) {
+            return OmniHelper.Utils.sum(this.values(array, key));
+        },
+
+        /**
+         * Arithmetic mean of values
+         * @param {Array} array - The array
+         * @param {string|Function} key - Optional key or accessor
+         * @returns {number|null} Mean, or null for no values
+         */
+        mean: function(array, key) {
+            const values = this.values(array, key);
+            return values.length === 0 ? null : OmniHelper.Utils.mean(values);
+        },
+
+        /**
+         * Median of values
+         * @param {Array} array - The array
+         * @param {string|Function} key - Optional key or accessor
+         * @returns {number|null} Median, or null for no values
+         */
+        median: function(array, key) {
+            return this.quantile(array, 0.5, key);
+        },
+
+        /**
+         * Most frequent value(s)
+         * @param {Array} array - The array
+         * @param {string|Function} key - Optional key or accessor
+         * @returns {Array} All values sharing the highest count (in first-seen order)
+         */
+        mode: function(array, key) {
+            if (!Array.isArray(array)) {
+                throw new Error('Input must be an array');
+            }
+
+            const counts = new Map();
+            let best = 0;
+            array.forEach(function(item) {
+                const value = key === undefined || key === null ? item : OmniHelper.Data.resolveKey(item, key);
+                if (value === null || value === undefined) return;
+                const count = (counts.get(value) || 0) + 1;
+                counts.set(value, count);
+                best = Math.max(best, count);
+            });
+
+            const modes = [];
+            counts.forEach(function(count, value) {
+                if (count === best) modes.push(value);
+            });
+            return modes;
+        },
+
+        /**
+         * Variance of values
+         * @param {Array} array - The array
+         * @param {string|Function} key - Optional key or accessor
+         * @param {string} kind - 'sample' (default, divides by n - 1) or 'population' (divides by n)
+         * @returns {number|null} Variance, or null when there are too few values
+         */
+        variance: function(array, key, kind) {
+            const values = this.values(array, key);
+            const population = kind === 'population';
+            if (values.length === 0 || (!population && values.length < 2)) return null;
+
+            const mean = OmniHelper.Utils.mean(values);
+            let squares = 0;
+            for (let i = 0; i < values.length; i++) {
+                squares += (values[i] - mean) * (values[i] - mean);
+            }
+            return squares / (population ? values.length : values.length - 1);
+        },
+
+        /**
+         * Standard deviation of values
+         * @param {Array} array - The array
+         * @param {string|Function} key - Optional key or accessor
+         * @param {string} kind - 'sample' (default) or 'population'
+         * @returns {number|null} Standard deviation
+         */
+        stddev: function(array, key, kind) {
+            const variance = this.variance(array, key, kind);
+            return variance === null ? null : Math.sqrt(variance);
+        },
+
+        /**
+         * Quantile using linear interpolation between closest ranks
+         * @param {Array} array - The array
+         * @param {number} q - The quantile (0 to 1)
+         * @param {string|Function} key - Optional key or accessor
+         * @returns {number|null} The quantile value
+         */
+        quantile: function(array, q, key) {
+            return this.quantiles(array, [q], key)[0];
+        },
+
+        /**
+         * Several quantiles at once (sorts the values only once)
+         * @param {Array} array - The array
+         * @param {Array} qs - Quantiles (0 to 1)
+         * @param {string|Function} key - Optional key or accessor
+         * @returns {Array} Quantile values (null for no values)
+         */
+        quantiles: function(array, qs, key) {
+            const sorted = this.values(array, key).sort(function(a, b) {
+                return a - b;
+            });
+
+            return qs.map(function(q) {
+                if (typeof q !== 'number' || q < 0 || q > 1) {
+                    throw new Error('Quantile must be a number between 0 and 1');
+                }
+                if (sorted.length === 0) return null;
+                const position = (sorted.length - 1) * q;
+                const lower = Math.floor(position);
+                const upper = Math.ceil(position);
+                return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+            });
+        },
+
+        /**
+         * Percentile (0 to 100)
+         * @param {Array} array - The array
+         * @param {number} p - The percentile
+         * @param {string|Function} key - Optional key or accessor
+         * @returns {number|null} The percentile value
+         */
+        percentile: function(array, p, key) {
+            return this.quantile(array, p / 100, key);
+        },
+
+        /**
+         * Item with the smallest value
+         * @param {Array} array - The array
+         * @param {string|Function} key - Key or accessor
+         * @returns {*} The item (first one on ties), or undefined
+         */
+        minBy: function(array, key) {
+            return this.extremeBy(array, key, -1);
+        },
+
+        /**
+         * Item with the largest value
+         * @param {Array} array - The array
+         * @param {string|Function} key - Key or accessor
+         * @returns {*} The item (first one on ties), or undefined
+         */
+        maxBy: function(array, key) {
+            return this.extremeBy(array, key, 1);
+        },
+
+        /**
+         * Find the item with the smallest (direction -1) or largest (1) value
+         * @param {Array} array - The array
+         * @param {string|Function} key - Key or accessor
+         * @param {number} direction - -1 or 1
+         * @returns {*} The item
+         */
+        extremeBy: function(array, key, direction) {
+            if (!Array.isArray(array)) {
+                throw new Error('Input must be an array');
+            }
+
+            let best;
+            let bestValue;
+            for (let i = 0; i < array.length; i++) {
+                const value = key === undefined || key === null ? array[i] : OmniHelper.Data.resolveKey(array[i], key);
+                if (value === null || value === undefined || (typeof value === 'number' && isNaN(value))) continue;
+                if (bestValue === undefined || (direction > 0 ? value > bestValue : value < bestValue)) {
+                    best = array[i];
+                    bestValue = value;
+                }
+            }
+            return best;
+        },
+
+        /**
+         * Bin values into a histogram
+         * @param {Array} array - The array
+         * @param {Object} options - Options:
+         *   key (key or accessor), bins (number of equal-width bins, default 10, or an array of edges),
+         *   min/max (range, defaults to the data range)
+         * @returns {Array} Bins as { from, to, count }; each bin includes `from` and excludes `to`,
+         *   except the last which includes both
+         */
+        histogram: function(array, options) {
+            const opts = options || {};
+            const values = this.values(array, opts.key);
+            let edges;
+
+            if (Array.isArray(opts.bins)) {
+                edges = opts.bins.slice().sort(function(a, b) { return a - b; });
+            } else {
+                const count = opts.bins || 10;
+                let min = opts.min !== undefined ? opts.min : Infinity;
+                let max = opts.max !== undefined ? opts.max : -Infinity;
+                if (opts.min === undefined || opts.max === undefined) {
+                    values.forEach(function(value) {
+                        if (opts.min === undefined) min = Math.min(min, value);
+                        if (opts.max === undefined) max = Math.max(max, value);
+                    });
+                }
+                if (values.length === 0 && (opts.min === undefined || opts.max === undefined)) return [];
+                if (min === max) max = min + 1;
+
+                const width = (max - min) / count;
+                edges = [];
+                for (let i = 0; i <= count; i++) {
+                    edges.push(i === count ? max : min + width * i);
+                }
+            }
+
+            const bins = [];
+            for (let i = 0; i < edges.length - 1; i++) {
+                bins.push({ from: edges[i], to: edges[i + 1], count: 0 });
+            }
+
+            values.forEach(function(value) {
+                for (let i = 0; i < bins.length; i++) {
+                    const last = i === bins.length - 1;
+                    if (value >= bins[i].from && (value < bins[i].to || (last && value === bins[i].to))) {
+                        bins[i].count++;
+                        break;
+                    }
+                }
+            });
+
+            return bins;
+        },
+
+        /**
+         * Moving average aligned with the input (one result per input item)
+         * @param {Array} array - The array
+         * @param {number} windowSize - Number of points per window
+         * @param {string|Function} key - Optional key or accessor
+         * @param {string} type - 'simple' (default) or 'exponential'
+         * @returns {Array} Averages; a simple average is null until a full window of numeric values
+         *   is available (so for the first windowSize - 1 items and any window with a missing value),
+         *   an exponential one is null for missing values and carries on from the last average
+         */
+        movingAverage: function(array, windowSize, key, type) {
+            const values = this.positions(array, key);
+            const size = Math.max(1, windowSize || 1);
+            const result = [];
+
+            if (type === 'exponential') {
+                const alpha = 2 / (size + 1);
+                let previous = null;
+                values.forEach(function(value) {
+                    if (value === null) {
+                        result.push(null);
+                        return;
+                    }
+                    previous = previous === null ? value : alpha * value + (1 - alpha) * previous;
+                    result.push(previous);
+                });
+                return result;
+            }
+
+            let windowSum = 0;
+            let missing = 0;
+            for (let i = 0; i < values.length; i++) {
+                if (values[i] === null) {
+                    missing++;
+                } else {
+                    windowSum += values[i];
+                }
+                if (i >= size) {
+                    if (values[i - size] === null) {
+                        missing--;
+                    } else {
+                        windowSum -= values[i - size];
+                    }
+                }
+                result.push(i >= size - 1 && missing === 0 ? windowSum / size : null);
+            }
+            return result;
+        },
+
+        /**
+         * Collect paired x/y values, skipping pairs where either is missing or non-numeric
+         * @param {Array} array - Items, or the x values when ys is given
+         * @param {string|Function|Array} xKey - x key/accessor, or the y values array
+         * @param {string|Function} yKey - y key/accessor
+         * @returns {Object} { xs, ys }
+         */
+        pairs: function(array, xKey, yKey) {
+            const separate = Array.isArray(xKey);
+            // Same numeric rules as values(): '', booleans and non-numbers count as missing
+            const xValues = separate ? this.positions(array) : this.positions(array, xKey);
+            const yValues = separate ? this.positions(xKey) : this.positions(array, yKey);
+            const length = Math.min(xValues.length, yValues.length);
+            const xs = [];
+            const ys = [];
+
+            for (let i = 0; i < length; i++) {
+                if (xValues[i] !== null && yValues[i] !== null) {
+                    xs.push(xValues[i]);
+                    ys.push(yValues[i]);
+                }
+            }
+            return { xs: xs, ys: ys };
+        },
+
+        /**
+         * Pearson correlation coefficient
+         * @param {Array} array - Items (or x values)
+         * @param {string|Function|Array} xKey - x key/accessor (or the y values)
+         * @param {string|Function} yKey - y key/accessor
+         * @returns {number|null} Correlation between -1 and 1, or null when undefined
+         */
+        correlation: function(array, xKey, yKey) {
+            const data = this.pairs(array, xKey, yKey);
+            const n = data.xs.length;
+            if (n < 2) return null;
+
+            const meanX = OmniHelper.Utils.mean(data.xs);
+            const meanY = OmniHelper.Utils.mean(data.ys);
+            let covariance = 0;
+            let varX = 0;
+            let varY = 0;
+            for (let i = 0; i < n; i++) {
+                const dx = data.xs[i] - meanX;
+                const dy = data.ys[i] - meanY;
+                covariance += dx * dy;
+                varX += dx * dx;
+                varY += dy * dy;
+            }
+            if (varX === 0 || varY === 0) return null;
+            return covariance / Math.sqrt(varX * varY);
+        },
+
+        /**
+         * Simple (ordinary least squares) linear regression
+         * @param {Array} array - Items (or x values)
+         * @param {string|Function|Array} xKey - x key/accessor (or the y values)
+         * @param {string|Function} yKey - y key/accessor
+         * @returns {Object|null} { slope, intercept, r2, predict(x) }, or null when undefined
+         */
+        linearRegression: function(array, xKey, yKey) {
+            const data = this.pairs(array, xKey, yKey);
+            const n = data.xs.length;
+            if (n < 2) return null;
+
+            const meanX = OmniHelper.Utils.mean(data.xs);
+            const meanY = OmniHelper.Utils.mean(data.ys);
+            let sxy = 0;
+            let sxx = 0;
+            let syy = 0;
+            for (let i = 0; i < n; i++) {
+                const dx = data.xs[i] - meanX;
+                const dy = data.ys[i] - meanY;
+                sxy += dx * dy;
+                sxx += dx * dx;
+                syy += dy * dy;
+            }
+            if (sxx === 0) return null;
+
+            const slope = sxy / sxx;
+            const intercept = meanY - slope * meanX;
+            return {
+                slope: slope,
+                intercept: intercept,
+                r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+                predict: function(x) {
+                    return slope * x + intercept;
+                }
+            };
+        }
+    };
+
     return OmniHelper;
 }));
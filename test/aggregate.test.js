@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+const sales = [
+    { region: 'North', year: 2021, amount: 5 },
+    { region: 'North', year: 2020, amount: 10 },
+    { region: 'South', year: 2020, amount: 4 },
+    { region: 'North', year: 2021, amount: 7 },
+    { region: 'South', year: '2020', amount: '6' },
+    { region: 'South', year: 2021, amount: null }
+];
+
+test('aggregate groups by several keys and keeps key types', function() {
+    const rows = Data.aggregate(sales, {
+        by: ['region', 'year'],
+        metrics: { count: 'count', total: ['sum', 'amount'], best: { op: 'max', field: 'amount' } }
+    });
+
+    assert.deepStrictEqual(rows, [
+        { region: 'North', year: 2021, count: 2, total: 12, best: 7 },
+        { region: 'North', year: 2020, count: 1, total: 10, best: 10 },
+        { region: 'South', year: 2020, count: 1, total: 4, best: 4 },
+        { region: 'South', year: '2020', count: 1, total: 6, best: 6 },
+        { region: 'South', year: 2021, count: 1, total: 0, best: null }
+    ]);
+});
+
+test('aggregate supports named key functions and custom metrics', function() {
+    const rows = Data.aggregate(sales, {
+        by: { decade: function(row) { return Math.floor(Number(row.year) / 10) * 10; } },
+        metrics: {
+            avg: ['avg', 'amount'],
+            median: ['median', 'amount'],
+            present: ['count', 'amount'],
+            first: ['first', 'region'],
+            regions: function(items) { return items.length; },
+            joined: { reduce: function(acc, row) { return acc + row.region.charAt(0); }, initial: '' }
+        }
+    });
+
+    assert.deepStrictEqual(rows, [{ decade: 2020, avg: 6.4, median: 6, present: 5, first: 'North', regions: 6, joined: 'NNSNSS' }]);
+});
+
+test('aggregate without keys returns a single total row', function() {
+    assert.deepStrictEqual(Data.aggregate(sales, { metrics: { n: 'count' } }), [{ n: 6 }]);
+});
+
+test('aggregate rejects unknown metrics and non-arrays', function() {
+    assert.throws(function() {
+        Data.aggregate(sales, { by: 'region', metrics: { x: ['mode', 'amount'] } });
+    }, /Unknown aggregate metric: mode/);
+    assert.throws(function() {
+        Data.aggregate({}, {});
+    }, /Input must be an array/);
+});
+
+test('pivot returns ordered rows, columns and a matrix', function() {
+    const pivot = Data.pivot(sales, 'region', 'year', ['sum', 'amount'], { fill: 0 });
+
+    assert.strictEqual(pivot.rowKey, 'region');
+    assert.deepStrictEqual(pivot.rows, ['North', 'South']);
+    assert.deepStrictEqual(pivot.columns, [2021, 2020, '2020']);
+    assert.deepStrictEqual(pivot.matrix, [[12, 10, 0], [0, 4, 6]]);
+    assert.deepStrictEqual(pivot.header, ['region', '2021', '2020', '2020']);
+    assert.deepStrictEqual(pivot.table, [['North', 12, 10, 0], ['South', 0, 4, 6]]);
+});
+
+test('pivot keeps null, "null" and the row key name as separate columns', function() {
+    const pivot = Data.pivot([
+        { name: 'a', tag: null },
+        { name: 'a', tag: 'null' },
+        { name: 'b', tag: 'name' }
+    ], 'name', 'tag');
+
+    assert.deepStrictEqual(pivot.columns, [null, 'null', 'name']);
+    assert.deepStrictEqual(pivot.table, [['a', 1, 1, null], ['b', null, null, 1]]);
+    assert.strictEqual(Data.toCSV(pivot.table, { columns: pivot.header }), 'name,null,null,name\r\na,1,1,\r\nb,,,1');
+});
+
+test('pivot rejects non-arrays', function() {
+    assert.throws(function() {
+        Data.pivot(null, 'a', 'b');
+    }, /Input must be an array/);
+});
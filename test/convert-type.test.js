@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+test('convertType keeps its previous non-strict results', function() {
+    assert.strictEqual(Data.convertType('abc', 'number'), 0);
+    assert.strictEqual(Data.convertType(null, 'string'), '');
+    assert.strictEqual(Data.convertType({ a: 1 }, 'string'), '{"a":1}');
+    assert.strictEqual(Data.convertType('yes', 'boolean'), true);
+    assert.strictEqual(Data.convertType('0', 'boolean'), false);
+    assert.strictEqual(Data.convertType('5', 'array'), 5);
+    assert.deepStrictEqual(Data.convertType('{"a":1}', 'array'), { a: 1 });
+    assert.deepStrictEqual(Data.convertType('x', 'array'), ['x']);
+    assert.strictEqual(Data.convertType('5', 'object'), 5);
+    assert.deepStrictEqual(Data.convertType('abc', 'object'), { value: 'abc' });
+    assert.strictEqual(Data.convertType('x', 'unknown'), 'x');
+});
+
+test('convertType splits comma-separated lists and converts items', function() {
+    assert.deepStrictEqual(Data.convertType('a, b,c', 'array'), ['a', 'b', 'c']);
+    assert.deepStrictEqual(Data.convertType('1|2', 'array', { separator: '|', of: 'number' }), [1, 2]);
+    assert.deepStrictEqual(Data.convertType('[1,2]', 'array'), [1, 2]);
+});
+
+test('convertType parses ISO dates and the new targets', function() {
+    assert.strictEqual(Data.convertType('2024-03-01 10:30', 'date').toISOString(), new Date('2024-03-01T10:30').toISOString());
+    assert.strictEqual(Data.convertType('2024-03-01T00:00:00Z', 'date').getTime(), Date.UTC(2024, 2, 1));
+    assert.strictEqual(Data.convertType('not a date', 'date'), null);
+    assert.strictEqual(Data.convertType('42', 'integer'), 42);
+    assert.strictEqual(Data.convertType('4.7', 'integer'), 4);
+    assert.strictEqual(Data.convertType('PAID', 'enum', { values: ['paid', 'open'] }), 'paid');
+    assert.strictEqual(Data.convertType('x', 'enum', { values: ['paid'], default: 'open' }), 'open');
+    assert.strictEqual(Data.convertType('9007199254740993', 'bigint'), 9007199254740993n);
+    assert.strictEqual(Data.convertType(' 123E4567-E89B-12D3-A456-426614174000 ', 'uuid'), '123e4567-e89b-12d3-a456-426614174000');
+});
+
+test('strict convertType throws a ConversionError', function() {
+    const cases = [
+        ['abc', 'number'],
+        ['', 'number'],
+        ['4.5', 'integer'],
+        ['yes', 'boolean'],
+        ['03/01/2024', 'date'],
+        ['5', 'array'],
+        ['abc', 'object'],
+        ['closed', 'enum'],
+        ['1.5', 'bigint'],
+        ['nope', 'uuid'],
+        ['x', 'money']
+    ];
+
+    cases.forEach(function(entry) {
+        assert.throws(function() {
+            Data.convertType(entry[0], entry[1], { strict: true, values: ['open'] });
+        }, function(error) {
+            assert.ok(error instanceof TypeError);
+            assert.strictEqual(error.name, 'ConversionError');
+            assert.strictEqual(error.value, entry[0]);
+            assert.strictEqual(error.targetType, entry[1]);
+            return true;
+        }, entry.join(' -> '));
+    });
+    assert.throws(function() {
+        Data.convertType('abc', 'number', { strict: true });
+    }, /^ConversionError: Cannot convert "abc" to number: value is not a number$/);
+});
+
+test('registerType adds custom targets that honour strict mode', function() {
+    Data.registerType('Cents', function(value, options, fail) {
+        const number = Number(value);
+        return isFinite(number) ? Math.round(number * 100) : fail('is not an amount', 0);
+    });
+
+    assert.strictEqual(Data.convertType('12.34', 'cents'), 1234);
+    assert.strictEqual(Data.convertType('abc', 'CENTS'), 0);
+    assert.throws(function() {
+        Data.convertType('abc', 'cents', { strict: true });
+    }, /value is not an amount/);
+    assert.throws(function() {
+        Data.registerType('', function() {});
+    }, /Type name must be a non-empty string/);
+    assert.throws(function() {
+        Data.registerType('x', null);
+    }, /Converter must be a function/);
+});
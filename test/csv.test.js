@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+test('parseCSV handles quotes, escaped quotes, embedded newlines and CRLF', function() {
+    const text = '\uFEFFname,note\r\n"Smith, J","said ""hi""\nthen left"\r\nDoe,\r\n';
+
+    assert.deepStrictEqual(Data.parseCSV(text), [
+        { name: 'Smith, J', note: 'said "hi"\nthen left' },
+        { name: 'Doe', note: '' }
+    ]);
+});
+
+test('parseCSV returns row arrays without a header and fills missing cells', function() {
+    assert.deepStrictEqual(Data.parseCSV('a;b\n1', { header: false, delimiter: ';' }), [['a', 'b'], ['1']]);
+    assert.deepStrictEqual(Data.parseCSV('a,b\n1'), [{ a: '1', b: '' }]);
+});
+
+test('parseCSV keeps empty lines when asked and a quoted empty row always', function() {
+    assert.deepStrictEqual(Data.parseCSV('a\n\n1', { header: false }), [['a'], ['1']]);
+    assert.deepStrictEqual(Data.parseCSV('a\n\n1', { header: false, skipEmptyLines: false }), [['a'], [''], ['1']]);
+    assert.deepStrictEqual(Data.parseCSV('a\n""\n1', { header: false }), [['a'], [''], ['1']]);
+});
+
+test('parseCSV infers only canonical numbers and booleans', function() {
+    const rows = Data.parseCSV('zip,count,hex,flag,price\n00123,42,0x10,true,1.50', { inferTypes: true });
+
+    assert.deepStrictEqual(rows, [{ zip: '00123', count: 42, hex: '0x10', flag: true, price: '1.50' }]);
+});
+
+test('parseCSV converts columns listed in types', function() {
+    const rows = Data.parseCSV('id,price\n7,1.50', { types: { id: 'integer', price: 'number' } });
+
+    assert.deepStrictEqual(rows, [{ id: 7, price: 1.5 }]);
+});
+
+test('parseCSV rejects non-strings and unterminated quotes', function() {
+    assert.throws(function() {
+        Data.parseCSV(null);
+    }, /Input must be a string/);
+    assert.throws(function() {
+        Data.parseCSV('a\n"open');
+    }, /Unterminated quoted field in CSV at row 2/);
+});
+
+test('toCSV quotes fields that need it and collects columns in order', function() {
+    const csv = Data.toCSV([
+        { name: 'Smith, J', note: 'said "hi"' },
+        { name: ' padded', when: new Date(0), empty: null }
+    ]);
+
+    assert.strictEqual(csv, [
+        'name,note,when,empty',
+        '"Smith, J","said ""hi""",,',
+        '" padded",,1970-01-01T00:00:00.000Z,'
+    ].join('\r\n'));
+});
+
+test('toCSV writes row arrays, custom columns, BOM and newline', function() {
+    assert.strictEqual(Data.toCSV([[1, 'a\nb']], { columns: ['n', 's'], newline: '\n', bom: true }), '\uFEFFn,s\n1,"a\nb"');
+    assert.strictEqual(Data.toCSV([{ a: 1, b: 2 }], { columns: ['b'], header: false }), '2');
+    assert.throws(function() {
+        Data.toCSV('a,b');
+    }, /Input must be an array/);
+});
+
+test('toCSV output parses back to the same rows', function() {
+    const rows = [{ a: 'x,y', b: 'line\nbreak', c: 'q"uote' }, { a: '', b: ' lead', c: 'z' }];
+
+    assert.deepStrictEqual(Data.parseCSV(Data.toCSV(rows)), rows);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+test('flattenObject writes path keys with bracket or dot array indexes', function() {
+    const obj = { user: { name: 'Ada', tags: ['x', 'y'] }, empty: {}, list: [] };
+
+    assert.deepStrictEqual(Data.flattenObject(obj), {
+        'user.name': 'Ada',
+        'user.tags[0]': 'x',
+        'user.tags[1]': 'y',
+        empty: {},
+        list: []
+    });
+    assert.deepStrictEqual(Data.flattenObject(obj, { arrayFormat: 'dot', delimiter: '/' }), {
+        'user/name': 'Ada',
+        'user/tags/0': 'x',
+        'user/tags/1': 'y',
+        empty: {},
+        list: []
+    });
+});
+
+test('flattenObject stops at maxDepth and keeps non-plain objects as values', function() {
+    const when = new Date(0);
+    const flat = Data.flattenObject({ a: { b: { c: 1 } }, when: when }, { maxDepth: 2 });
+
+    assert.deepStrictEqual(flat, { 'a.b': { c: 1 }, when: when });
+    assert.strictEqual(flat.when, when);
+});
+
+test('flatten and unflatten round-trip keys containing path syntax', function() {
+    const obj = { 'a.b': { 'c[0]': 1, 'back\\slash': [2, { d: 3 }] }, constructor: { prototype: 4 } };
+    const flat = Data.flattenObject(obj);
+
+    assert.deepStrictEqual(Object.keys(flat), ['a\\.b.c\\[0\\]', 'a\\.b.back\\\\slash[0]', 'a\\.b.back\\\\slash[1].d', 'constructor.prototype']);
+    assert.deepStrictEqual(Data.unflatten(flat), obj);
+});
+
+test('unflatten builds arrays from indexes and reads all-digit dot segments as indexes', function() {
+    assert.deepStrictEqual(Data.unflatten({ '[0].id': 1, '[1].id': 2 }), [{ id: 1 }, { id: 2 }]);
+    assert.deepStrictEqual(Data.unflatten({ 'tags.0': 'x', 'tags.1': 'y' }, { arrayFormat: 'dot' }), { tags: ['x', 'y'] });
+    assert.deepStrictEqual(Data.unflatten({ 'tags.0': 'x' }), { tags: { 0: 'x' } });
+    assert.deepStrictEqual(Data.unflatten({ 'a.b.c': 1 }, { maxDepth: 2 }), { a: { 'b.c': 1 } });
+});
+
+test('unflatten ignores __proto__ paths and rejects bad input', function() {
+    const result = Data.unflatten({ '__proto__.polluted': true, 'a.__proto__.x': 1, ok: 1 });
+
+    assert.deepStrictEqual(result, { ok: 1 });
+    assert.strictEqual({}.polluted, undefined);
+    assert.throws(function() {
+        Data.unflatten(null);
+    }, /Input must be an object/);
+    assert.throws(function() {
+        Data.unflatten({ 'a[x]': 1 });
+    }, /Invalid array index in path: a\[x\]/);
+});
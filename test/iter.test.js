@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const stream = require('node:stream');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+function counter(limit, pulled) {
+    return {
+        [Symbol.iterator]: function() {
+            let i = 0;
+            return {
+                next: function() {
+                    pulled.count++;
+                    return i < limit ? { done: false, value: i++ } : { done: true, value: undefined };
+                },
+                return: function() {
+                    pulled.closed = true;
+                    return { done: true, value: undefined };
+                }
+            };
+        }
+    };
+}
+
+test('iter chains map, filter, skip and take lazily', function() {
+    const pulled = { count: 0, closed: false };
+
+    return Data.iter(counter(1000, pulled))
+        .map(function(n) { return n * 2; })
+        .filter(function(n) { return n % 3 === 0; })
+        .skip(1)
+        .take(3)
+        .collect()
+        .then(function(result) {
+            assert.deepStrictEqual(result, [6, 12, 18]);
+            assert.ok(pulled.count < 20);
+            assert.strictEqual(pulled.closed, true);
+        });
+});
+
+test('iter accepts async callbacks, async iterables and Node streams', function() {
+    const source = stream.Readable.from(['a', 'b', 'c']);
+
+    return Data.iter(source)
+        .map(function(value) { return Promise.resolve(value.toUpperCase()); })
+        .filter(function(value) { return Promise.resolve(value !== 'B'); })
+        .collect()
+        .then(function(result) {
+            assert.deepStrictEqual(result, ['A', 'C']);
+        });
+});
+
+test('iter splits chunks into lines across chunk boundaries', function() {
+    const encoder = new TextEncoder();
+    const chunks = [encoder.encode('{"a":1}\n{"a"'), ':2}\r\n', encoder.encode('{"a":3}')];
+
+    return Data.iter(chunks)
+        .lines()
+        .map(JSON.parse)
+        .collect()
+        .then(function(result) {
+            assert.deepStrictEqual(result, [{ a: 1 }, { a: 2 }, { a: 3 }]);
+        });
+});
+
+test('iter groups items with chunk and batch', function() {
+    return Promise.all([
+        Data.iter([1, 2, 3, 4, 5]).chunk(2).collect(),
+        Data.iter([1, 2, 3]).batch(10).collect()
+    ]).then(function(results) {
+        assert.deepStrictEqual(results[0], [[1, 2], [3, 4], [5]]);
+        assert.deepStrictEqual(results[1], [[1, 2, 3]]);
+    });
+});
+
+test('iter batch emits a partial batch when the wait expires', function() {
+    function slow() {
+        let i = 0;
+        return {
+            [Symbol.asyncIterator]: function() {
+                return {
+                    next: function() {
+                        i++;
+                        if (i > 3) return Promise.resolve({ done: true, value: undefined });
+                        return new Promise(function(resolve) {
+                            setTimeout(resolve, i === 3 ? 150 : 0, { done: false, value: i });
+                        });
+                    }
+                };
+            }
+        };
+    }
+
+    return Data.iter(slow()).batch(10, 20).collect().then(function(result) {
+        assert.deepStrictEqual(result, [[1, 2], [3]]);
+    });
+});
+
+test('iter concurrentMap keeps the input order and limits concurrency', function() {
+    let active = 0;
+    let peak = 0;
+
+    return Data.iter([30, 5, 20, 1])
+        .concurrentMap(function(delay, index) {
+            active++;
+            peak = Math.max(peak, active);
+            return new Promise(function(resolve) {
+                setTimeout(function() {
+                    active--;
+                    resolve(index + ':' + delay);
+                }, delay);
+            });
+        }, 2)
+        .collect()
+        .then(function(result) {
+            assert.deepStrictEqual(result, ['0:30', '1:5', '2:20', '3:1']);
+            assert.strictEqual(peak, 2);
+        });
+});
+
+test('iter reduce, forEach and for-await style iteration', function() {
+    const seen = [];
+    const pipeline = Data.iter([1, 2, 3]);
+    const iterator = Data.iter(['x'])[Symbol.asyncIterator]();
+
+    return Data.iter([1, 2, 3]).reduce(function(sum, n) { return sum + n; }, 0).then(function(sum) {
+        assert.strictEqual(sum, 6);
+        return pipeline.forEach(function(n, index) { seen.push([n, index]); });
+    }).then(function() {
+        assert.deepStrictEqual(seen, [[1, 0], [2, 1], [3, 2]]);
+        return iterator.next();
+    }).then(function(step) {
+        assert.deepStrictEqual(step, { done: false, value: 'x' });
+    });
+});
+
+test('iter closes the source when a callback throws', function() {
+    const pulled = { count: 0, closed: false };
+
+    return assert.rejects(Data.iter(counter(10, pulled)).map(function(n) {
+        if (n === 2) throw new Error('bad item');
+        return n;
+    }).collect(), /bad item/).then(function() {
+        assert.strictEqual(pulled.closed, true);
+    });
+});
+
+test('iter rejects sources that are not iterable', function() {
+    assert.throws(function() {
+        Data.iter(null);
+    }, /Source must be iterable/);
+    assert.throws(function() {
+        Data.iter(42);
+    }, /Source must be iterable/);
+});
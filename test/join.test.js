@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+const orders = [
+    { id: 1, customerId: 10, total: 5 },
+    { id: 2, customerId: 20, total: 7 },
+    { id: 3, customerId: 99, total: 9 },
+    { id: 4, customerId: null, total: 1 }
+];
+const customers = [
+    { id: 10, name: 'Ada' },
+    { id: 20, name: 'Linus' },
+    { id: 30, name: 'Grace' }
+];
+const on = { left: 'customerId', right: 'id' };
+
+test('inner join keeps matched rows and suffixes clashing fields', function() {
+    assert.deepStrictEqual(Data.join(orders, customers, { on: on }), [
+        { id_left: 1, customerId: 10, total: 5, id_right: 10, name: 'Ada' },
+        { id_left: 2, customerId: 20, total: 7, id_right: 20, name: 'Linus' }
+    ]);
+});
+
+test('full join uses the same suffixed names for unmatched rows', function() {
+    const rows = Data.join(orders, customers, { on: on, type: 'full' });
+
+    assert.deepStrictEqual(rows.slice(2), [
+        { id_left: 3, customerId: 99, total: 9 },
+        { id_left: 4, customerId: null, total: 1 },
+        { id_right: 30, name: 'Grace' }
+    ]);
+    rows.forEach(function(row) {
+        assert.ok(!Object.prototype.hasOwnProperty.call(row, 'id'));
+    });
+});
+
+test('left, right and anti joins', function() {
+    assert.deepStrictEqual(Data.join(orders, customers, { on: on, type: 'left' }).map(function(row) {
+        return row.id_left;
+    }), [1, 2, 3, 4]);
+    assert.deepStrictEqual(Data.join(orders, customers, { on: on, type: 'right' }).map(function(row) {
+        return row.name;
+    }), ['Ada', 'Linus', 'Grace']);
+    assert.deepStrictEqual(Data.join(orders, customers, { on: on, type: 'anti' }), [orders[2], orders[3]]);
+});
+
+test('join on shared keys keeps one copy and matches every duplicate', function() {
+    const left = [{ k: 1, a: 'x' }];
+    const right = [{ k: 1, b: 'y' }, { k: 1, b: 'z' }];
+
+    assert.deepStrictEqual(Data.join(left, right, { on: 'k' }), [{ k: 1, a: 'x', b: 'y' }, { k: 1, a: 'x', b: 'z' }]);
+});
+
+test('join matches composite keys, dates and key functions', function() {
+    const left = [{ y: 2024, m: 1, at: new Date(0) }];
+    const right = [{ y: 2024, m: 1, at: new Date(0), v: true }];
+
+    assert.strictEqual(Data.join(left, right, { on: ['y', 'm', 'at'] })[0].v, true);
+    assert.strictEqual(Data.join(left, right, { on: function(row) { return row.y + '-' + row.m; } }).length, 1);
+});
+
+test('join resolves conflicts with left, right or a function', function() {
+    const left = [{ k: 1, v: 'L' }];
+    const right = [{ k: 1, v: 'R' }];
+
+    assert.deepStrictEqual(Data.join(left, right, { on: 'k', conflict: 'left' }), [{ k: 1, v: 'L' }]);
+    assert.deepStrictEqual(Data.join(left, right, { on: 'k', conflict: 'right' }), [{ k: 1, v: 'R' }]);
+    assert.deepStrictEqual(Data.join(left, right, {
+        on: 'k',
+        conflict: function(field, l, r) { return l + r; }
+    }), [{ k: 1, v: 'LR' }]);
+    assert.deepStrictEqual(Data.join(left, right, { on: 'k', suffixes: ['_a', '_b'] }), [{ k: 1, v_a: 'L', v_b: 'R' }]);
+});
+
+test('join validates its arguments', function() {
+    assert.throws(function() {
+        Data.join(orders, null, { on: 'id' });
+    }, /Input must be an array/);
+    assert.throws(function() {
+        Data.join(orders, customers, { on: 'id', type: 'cross' });
+    }, /Unknown join type: cross/);
+    assert.throws(function() {
+        Data.join(orders, customers, {});
+    }, /Join requires an "on" key/);
+    assert.throws(function() {
+        Data.join(orders, customers, { on: { left: ['a', 'b'], right: 'a' } });
+    }, /Join keys must have the same length on both sides/);
+});
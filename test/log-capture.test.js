@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Log = OmniHelper.Log;
+
+// The test runner has its own process handlers, so the ones added by captureErrors are called directly
+function start(t, options) {
+    const before = {
+        error: process.listeners('uncaughtException'),
+        rejection: process.listeners('unhandledRejection')
+    };
+    const memory = Log.transports.memory();
+    Log.setTransports([memory]);
+
+    const capture = Log.captureErrors(Object.assign({ exit: false }, options));
+    t.after(function() {
+        Log.releaseErrors();
+        Log.setTransports([Log.transports.console()]);
+    });
+
+    function added(event, previous) {
+        return process.listeners(event).filter(function(listener) {
+            return previous.indexOf(listener) === -1;
+        })[0];
+    }
+    return {
+        capture: capture,
+        memory: memory,
+        throwError: added('uncaughtException', before.error),
+        reject: added('unhandledRejection', before.rejection)
+    };
+}
+
+test('unhandled rejections and uncaught errors are logged and sent to sinks', function(t) {
+    const reports = [];
+    const hooks = start(t, { sinks: [function(report) { reports.push(report); }] });
+
+    Log.info('opened cart');
+    hooks.reject('plain string');
+    hooks.reject({ name: 'ApiError', message: 'quota' });
+    hooks.throwError(new TypeError('boom'));
+
+    const errors = hooks.memory.entries().filter(function(entry) { return entry.level === 'error'; });
+    assert.deepStrictEqual(errors.map(function(entry) { return entry.message; }), [
+        'Unhandled rejection: plain string',
+        'Unhandled rejection: quota',
+        'Uncaught error: boom'
+    ]);
+    assert.deepStrictEqual(reports.map(function(report) { return report.kind + ' ' + report.error.name; }), [
+        'rejection Error',
+        'rejection ApiError',
+        'error TypeError'
+    ]);
+    assert.strictEqual(reports[0].error.original, 'plain string');
+    assert.strictEqual(reports[0].breadcrumbs[0].message, 'opened cart');
+    assert.strictEqual(typeof reports[0].timestamp, 'string');
+});
+
+test('repeats of an error are counted within the dedupe window', function(t) {
+    const reports = [];
+    const hooks = start(t, { dedupeWindow: 20, sinks: [function(report) { reports.push(report); }] });
+    const error = new Error('same');
+
+    hooks.reject(error);
+    hooks.reject(error);
+    hooks.reject(error);
+    assert.strictEqual(reports.length, 1);
+
+    return new Promise(function(resolve) {
+        setTimeout(resolve, 30);
+    }).then(function() {
+        hooks.reject(error);
+        assert.strictEqual(reports.length, 2);
+        assert.strictEqual(reports[1].count, 4);
+        assert.strictEqual(reports[1].repeated, 2);
+    });
+});
+
+test('a failing sink is reported and does not stop the others', function(t) {
+    const reported = t.mock.method(console, 'error', function() {});
+    const received = Log.transports.memory({ name: 'errors' });
+    const hooks = start(t, {
+        breadcrumbs: 0,
+        sinks: [{ name: 'broken', write: function() { throw new Error('sink down'); } }, received]
+    });
+
+    hooks.reject(new Error('real'));
+
+    assert.strictEqual(received.entries()[0].message, 'real');
+    assert.deepStrictEqual(hooks.capture.breadcrumbs(), []);
+    assert.match(reported.mock.calls[0].arguments[0], /Transport "broken" failed/);
+});
+
+test('release removes the handlers and the breadcrumb transport', function(t) {
+    const rejectionCount = process.listenerCount('unhandledRejection');
+    const hooks = start(t);
+
+    assert.strictEqual(process.listenerCount('unhandledRejection'), rejectionCount + 1);
+    assert.strictEqual(Log.getTransports().length, 2);
+
+    const replacement = Log.captureErrors({ exit: false });
+    assert.strictEqual(process.listenerCount('unhandledRejection'), rejectionCount + 1);
+
+    hooks.capture.release();
+    assert.strictEqual(process.listenerCount('unhandledRejection'), rejectionCount + 1);
+    replacement.release();
+    assert.strictEqual(process.listenerCount('unhandledRejection'), rejectionCount);
+    assert.deepStrictEqual(Log.getTransports(), [hooks.memory]);
+});
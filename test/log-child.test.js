@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Log = OmniHelper.Log;
+
+function capture(t) {
+    const memory = Log.transports.memory();
+    Log.setTransports([memory]);
+    t.after(function() {
+        Log.setRedaction([], { censor: '[REDACTED]' });
+        Log.setTransports([Log.transports.console()]);
+    });
+    return memory;
+}
+
+test('child loggers bind context and merge it over the parent', function(t) {
+    const memory = capture(t);
+    const request = Log.create('api').child({ requestId: 'r1', user: 'ada' });
+    const step = request.child({ user: 'linus', step: 2 });
+
+    step.info('charged', { amount: 5 });
+    request.info('done');
+
+    const entries = memory.entries();
+    assert.strictEqual(entries[0].namespace, 'api');
+    assert.deepStrictEqual(entries[0].context, { requestId: 'r1', user: 'linus', step: 2 });
+    assert.deepStrictEqual(entries[1].context, { requestId: 'r1', user: 'ada' });
+    assert.strictEqual(Log.context, null);
+    assert.strictEqual(Log.toRecord(entries[0]).amount, 5);
+    assert.match(Log.formatText(entries[0]), /\[api\] charged \{"requestId":"r1","user":"linus","step":2,"amount":5\}$/);
+});
+
+test('redaction censors paths in context and data without mutating them', function(t) {
+    const memory = capture(t);
+    const headers = { authorization: 'Bearer x', accept: '*/*' };
+    const log = Log.child({ token: 't' }, { redact: ['token', 'headers.authorization', 'users.*.email'] });
+
+    log.info('request', { headers: headers, users: [{ email: 'a@x' }, { email: 'b@x', id: 2 }], password: 'kept' });
+
+    const entry = memory.entries()[0];
+    assert.deepStrictEqual(entry.context, { token: '[REDACTED]' });
+    assert.deepStrictEqual(entry.data.headers, { authorization: '[REDACTED]', accept: '*/*' });
+    assert.deepStrictEqual(entry.data.users, [{ email: '[REDACTED]' }, { email: '[REDACTED]', id: 2 }]);
+    assert.strictEqual(entry.data.password, 'kept');
+    assert.strictEqual(headers.authorization, 'Bearer x');
+});
+
+test('children add their paths to the parent and can use a censor function', function(t) {
+    const memory = capture(t);
+    const parent = Log.child({}, { redact: 'password' });
+    const child = parent.child({}, {
+        redact: ['card'],
+        censor: function(value, path) { return path + ':' + String(value).slice(-4); }
+    });
+
+    child.info('paid', { password: 'secret', card: '4242424242424242' });
+
+    assert.deepStrictEqual(memory.entries()[0].data, { password: 'password:cret', card: 'card:4242' });
+});
+
+test('setRedaction applies to every logger', function(t) {
+    const memory = capture(t);
+    Log.setRedaction(['*.apiKey'], { censor: null });
+
+    Log.create('jobs').info('config', { stripe: { apiKey: 'sk', mode: 'live' } });
+
+    assert.deepStrictEqual(memory.entries()[0].data, { stripe: { apiKey: null, mode: 'live' } });
+});
+
+test('child rejects context that is not an object', function() {
+    assert.throws(function() {
+        Log.child('r1');
+    }, /Context must be an object/);
+    assert.throws(function() {
+        Log.child([1]);
+    }, /Context must be an object/);
+});
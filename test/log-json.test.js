@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Log = OmniHelper.Log;
+
+const entry = {
+    timestamp: '2024-01-01T00:00:00.000Z',
+    level: 'info',
+    message: 'hello',
+    namespace: 'svc',
+    context: { requestId: 'r1' },
+    data: undefined
+};
+
+function record(data, extra) {
+    return Log.toRecord(Object.assign({}, entry, { data: data }, extra));
+}
+
+test('json format writes one parseable line per entry to the console', function(t) {
+    const lines = [];
+    t.mock.method(console, 'log', function(line) { lines.push(line); });
+    t.mock.method(console, 'error', function(line) { lines.push(line); });
+    Log.setTransports([Log.transports.console()]);
+    Log.setFormat('json');
+    t.after(function() {
+        Log.setFormat('auto');
+    });
+
+    Log.info('started', { port: 8080 });
+    Log.create('db').error('lost connection');
+
+    assert.strictEqual(lines.length, 2);
+    assert.deepStrictEqual(Object.keys(JSON.parse(lines[0])), ['timestamp', 'level', 'message', 'port']);
+    assert.strictEqual(JSON.parse(lines[1]).namespace, 'db');
+    assert.strictEqual(Log.getOutput().format, 'json');
+});
+
+test('toRecord merges context and data and nests reserved field names', function() {
+    assert.deepStrictEqual(record({ userId: 7, level: 'x', message: 'y' }), {
+        timestamp: '2024-01-01T00:00:00.000Z',
+        level: 'info',
+        message: 'hello',
+        namespace: 'svc',
+        requestId: 'r1',
+        userId: 7,
+        data: { level: 'x', message: 'y' }
+    });
+    assert.deepStrictEqual(record([1, 2]).data, [1, 2]);
+    assert.strictEqual(record('text').data, 'text');
+    assert.strictEqual(record({ requestId: 'r2' }).requestId, 'r2');
+    assert.strictEqual(record(undefined, { namespace: '' }).namespace, undefined);
+});
+
+test('toRecord makes BigInt, Map, Set and circular values JSON-safe', function() {
+    const circular = { a: 1 };
+    circular.self = circular;
+    const result = record({ big: 10n, map: new Map([['k', 1]]), set: new Set([1, 2]), circular: circular, date: new Date(0) });
+
+    assert.strictEqual(result.big, '10');
+    assert.deepStrictEqual(result.map, { k: 1 });
+    assert.deepStrictEqual(result.set, [1, 2]);
+    assert.deepStrictEqual(result.circular, { a: 1, self: '[Circular]' });
+    assert.strictEqual(result.date, '1970-01-01T00:00:00.000Z');
+    assert.doesNotThrow(function() {
+        Log.formatJSON(Object.assign({}, entry, { data: circular }));
+    });
+});
+
+test('errors are serialized with their own fields and cause chain', function() {
+    const error = new Error('outer', { cause: new TypeError('inner') });
+    error.code = 'E_OUTER';
+    const looped = new Error('loop');
+    looped.cause = looped;
+
+    const result = record(error).error;
+    assert.strictEqual(result.name, 'Error');
+    assert.strictEqual(result.message, 'outer');
+    assert.strictEqual(result.code, 'E_OUTER');
+    assert.match(result.stack, /^Error: outer/);
+    assert.strictEqual(result.cause.name, 'TypeError');
+    assert.strictEqual(record({ err: error, id: 1 }).error.message, 'outer');
+    assert.strictEqual(record(looped).error.cause, '[Circular]');
+});
+
+test('setFormat rejects unknown formats', function() {
+    assert.throws(function() {
+        Log.setFormat('xml');
+    }, /Unknown log format "xml"/);
+});
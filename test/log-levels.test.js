@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Log = OmniHelper.Log;
+
+function capture(t) {
+    const memory = Log.transports.memory();
+    Log.setTransports([memory]);
+    t.after(function() {
+        Log.setLevel('debug');
+        Log.config.namespaceLevels = [];
+        Log.enable('');
+        Log.setTransports([Log.transports.console()]);
+    });
+    return function() {
+        return memory.entries().map(function(entry) {
+            return (entry.namespace ? entry.namespace + ' ' : '') + entry.level + ' ' + entry.message;
+        });
+    };
+}
+
+test('setLevel filters lower levels and accepts aliases', function(t) {
+    const lines = capture(t);
+
+    Log.setLevel('warn');
+    Log.debug('d');
+    Log.info('i');
+    Log.warn('w');
+    Log.error('e');
+
+    assert.deepStrictEqual(lines(), ['warning w', 'error e']);
+    assert.strictEqual(Log.getLevel(), 'warn');
+    assert.strictEqual(Log.isEnabled('info'), false);
+    assert.strictEqual(Log.isEnabled('error'), true);
+
+    Log.setLevel('none');
+    Log.error('hidden');
+    assert.strictEqual(lines().length, 2);
+});
+
+test('messages given as functions are only built when the level is enabled', function(t) {
+    const lines = capture(t);
+    let calls = 0;
+
+    Log.setLevel('info');
+    Log.debug(function() { calls++; return 'expensive'; });
+    Log.info(function() { calls++; return 'cheap'; });
+
+    assert.strictEqual(calls, 1);
+    assert.deepStrictEqual(lines(), ['info cheap']);
+});
+
+test('create nests namespaces and namespace levels override the global level', function(t) {
+    const lines = capture(t);
+    const cart = Log.create('cart');
+    const checkout = cart.create('checkout');
+
+    Log.setLevel('info');
+    Log.setLevel('debug', 'cart:*');
+    checkout.debug('coupon');
+    cart.debug('hidden');
+    Log.debug('hidden');
+
+    assert.strictEqual(checkout.namespace, 'cart:checkout');
+    assert.strictEqual(checkout.getLevel(), 'debug');
+    assert.strictEqual(cart.getLevel(), 'info');
+    assert.deepStrictEqual(lines(), ['cart:checkout debug coupon']);
+
+    Log.setLevel(null, 'cart:*');
+    assert.strictEqual(checkout.getLevel(), 'info');
+});
+
+test('enable and disable gate debug output per namespace but never warnings', function(t) {
+    const lines = capture(t);
+    const cart = Log.create('cart');
+    const poll = Log.create('cart:poll');
+    const ui = Log.create('ui');
+
+    Log.enable('cart:*,cart,-cart:poll');
+    Log.disable('ui');
+    cart.debug('shown');
+    poll.debug('hidden');
+    poll.info('floor');
+    ui.warn('kept');
+    Log.debug('root');
+
+    assert.strictEqual(Log.config.patterns, 'cart:*,cart,-cart:poll,-ui');
+    assert.strictEqual(poll.isNamespaceEnabled('cart:poll'), false);
+    assert.deepStrictEqual(lines(), ['cart debug shown', 'cart:poll info floor', 'ui warning kept', 'debug root']);
+});
+
+test('setLevel and create reject unknown levels and empty names', function() {
+    assert.throws(function() {
+        Log.setLevel('loud');
+    }, /Unknown log level "loud"/);
+    assert.throws(function() {
+        Log.create('');
+    }, /Namespace must be a non-empty string/);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Log = OmniHelper.Log;
+
+function capture(t) {
+    const memory = Log.transports.memory();
+    Log.setTransports([memory]);
+    t.after(function() {
+        Log.setLimits(null);
+        Log.setTransports([Log.transports.console()]);
+    });
+    return function() {
+        return memory.entries().map(function(entry) {
+            return entry.level + ' ' + entry.message;
+        });
+    };
+}
+
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+test('dedupe logs a message once and summarizes the repeats', function(t) {
+    const lines = capture(t);
+    Log.setLimits({ dedupe: { window: 20 } });
+
+    Log.warn('disk low', { free: 3 });
+    Log.warn('disk low', { free: 2 });
+    Log.warn('disk low', { free: 1 });
+    Log.info('other');
+
+    assert.deepStrictEqual(lines(), ['warning disk low', 'info other']);
+    return wait(100).then(function() {
+        assert.deepStrictEqual(lines(), ['warning disk low', 'info other', 'warning disk low (message repeated 2 times)']);
+    });
+});
+
+test('flush reports pending repeats right away', function(t) {
+    const lines = capture(t);
+    Log.setLimits({ dedupe: true });
+
+    Log.info('tick');
+    Log.info('tick');
+
+    return Log.flush().then(function() {
+        assert.deepStrictEqual(lines(), ['info tick', 'info tick (message repeated 1 times)']);
+    });
+});
+
+test('rateLimit drops entries beyond the burst and reports them from a timer', function(t) {
+    const lines = capture(t);
+    Log.setLimits({ rateLimit: { rate: 50, burst: 2 } });
+
+    for (let i = 0; i < 5; i++) {
+        Log.info('request ' + i);
+    }
+    Log.error('never limited');
+    Log.error('never limited either');
+
+    assert.deepStrictEqual(lines(), ['info request 0', 'info request 1', 'error never limited', 'error never limited either']);
+    return wait(100).then(function() {
+        assert.strictEqual(lines()[4], 'info Rate limit dropped 3 log entries');
+    });
+});
+
+test('rateLimit can be restricted to levels and keyed by namespace', function(t) {
+    const lines = capture(t);
+    Log.setLimits({ rateLimit: { rate: 1, burst: 1, by: 'namespace', levels: ['debug'] } });
+
+    Log.create('a').debug('a1');
+    Log.create('a').debug('a2');
+    Log.create('b').debug('b1');
+    Log.create('a').info('a3');
+
+    assert.deepStrictEqual(lines(), ['debug a1', 'debug b1', 'info a3']);
+});
+
+test('sample keeps a fraction of a level without building dropped messages', function(t) {
+    const lines = capture(t);
+    let built = 0;
+    Log.setLimits({ sample: { debug: 0, warn: 1 } });
+
+    Log.debug(function() { built++; return 'dropped'; });
+    Log.warn('kept');
+
+    assert.strictEqual(built, 0);
+    assert.deepStrictEqual(lines(), ['warning kept']);
+});
+
+test('setLimits validates its options', function() {
+    assert.throws(function() {
+        Log.setLimits({ sample: { debug: 2 } });
+    }, /Sample rate for "debug" must be a number between 0 and 1/);
+    assert.throws(function() {
+        Log.setLimits({ sample: { loud: 0.5 } });
+    }, /Unknown log level "loud"/);
+    assert.throws(function() {
+        Log.setLimits({ rateLimit: { by: 'user' } });
+    }, /Rate limit "by" must be level, namespace or level\+namespace/);
+    assert.throws(function() {
+        Log.setLimits({ rateLimit: { rate: 0 } });
+    }, /Rate limit needs a positive rate and a burst of at least 1/);
+    assert.strictEqual(Log.config.limits, null);
+});
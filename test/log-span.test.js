@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Log = OmniHelper.Log;
+
+function capture(t) {
+    const memory = Log.transports.memory();
+    Log.setTransports([memory]);
+    Log.timingReport({ print: false, reset: true });
+    t.after(function() {
+        Log.setTransports([Log.transports.console()]);
+    });
+    return memory;
+}
+
+test('span measures a function and nests spans started inside it', function(t) {
+    const memory = capture(t);
+
+    const duration = Log.span('outer', function() {
+        Log.span('inner', function() {});
+    });
+
+    const entries = memory.entries();
+    assert.strictEqual(typeof duration, 'number');
+    assert.deepStrictEqual(entries.map(function(entry) { return entry.data.path; }), ['outer > inner', 'outer']);
+    assert.match(entries[1].message, /^Span "outer" finished in \d+\.\d{3}ms$/);
+    assert.strictEqual(entries[1].level, 'debug');
+    assert.strictEqual(entries[1].data.duration, duration);
+});
+
+test('async spans resolve with the duration and nest through span.span', function(t) {
+    const memory = capture(t);
+
+    return Log.span('request', function(span) {
+        return new Promise(function(resolve) {
+            setTimeout(resolve, 5);
+        }).then(function() {
+            return span.span('query', function() {
+                return Promise.resolve();
+            });
+        });
+    }).then(function(duration) {
+        assert.ok(duration >= 4);
+        assert.deepStrictEqual(memory.entries().map(function(entry) { return entry.data.path; }), ['request > query', 'request']);
+    });
+});
+
+test('failing spans are recorded and rethrow the error', function(t) {
+    const memory = capture(t);
+
+    assert.throws(function() {
+        Log.span('sync', function() { throw new Error('boom'); });
+    }, /boom/);
+    return assert.rejects(Log.span('async', function() {
+        return Promise.reject(new Error('later'));
+    }), /later/).then(function() {
+        const entries = memory.entries();
+        assert.match(entries[0].message, /^Span "sync" failed in/);
+        assert.strictEqual(entries[1].data.error.message, 'later');
+        assert.deepStrictEqual(Log.timingReport({ print: false }).map(function(row) { return row.name; }).sort(), ['async', 'sync']);
+    });
+});
+
+test('time and timeEnd feed the timing report', function(t) {
+    const memory = capture(t);
+
+    Log.time('load');
+    const duration = Log.timeEnd('load');
+    Log.recordTiming('load', 10);
+    Log.recordTiming('parse', 1);
+
+    assert.strictEqual(memory.entries()[0].data.span, 'load');
+    const rows = Log.timingReport({ print: false, reset: true });
+    assert.deepStrictEqual(Object.keys(rows[0]), ['name', 'count', 'min', 'max', 'avg', 'p95']);
+    assert.strictEqual(rows[0].name, 'load');
+    assert.strictEqual(rows[0].count, 2);
+    assert.strictEqual(rows[0].max, 10);
+    assert.ok(rows[0].min <= duration + 0.001);
+    assert.deepStrictEqual(rows[1], { name: 'parse', count: 1, min: 1, max: 1, avg: 1, p95: 1 });
+    assert.deepStrictEqual(Log.timingReport({ print: false }), []);
+});
+
+test('timeEnd warns about unknown timers and span validates its arguments', function(t) {
+    const memory = capture(t);
+
+    assert.strictEqual(Log.timeEnd('missing'), undefined);
+    assert.strictEqual(memory.entries()[0].message, 'Timer "missing" does not exist');
+    assert.throws(function() {
+        Log.span('', function() {});
+    }, /Span name must be a non-empty string/);
+    assert.throws(function() {
+        Log.span('x');
+    }, /Span callback must be a function/);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const OmniHelper = require('../OmniHelper.js');
+
+const Log = OmniHelper.Log;
+
+function reset(t) {
+    Log.setTransports([]);
+    t.after(function() {
+        Log.setTransports([Log.transports.console()]);
+    });
+}
+
+function messages(transport) {
+    return transport.entries().map(function(entry) {
+        return entry.message;
+    });
+}
+
+function mockFetch(t, statuses) {
+    const bodies = [];
+    t.mock.method(globalThis, 'fetch', function(url, init) {
+        bodies.push(JSON.parse(init.body));
+        const status = statuses.length > 0 ? statuses.shift() : 200;
+        return Promise.resolve({ ok: status < 400, status: status });
+    });
+    return bodies;
+}
+
+test('memory transports keep the latest entries and honour their own level', function(t) {
+    reset(t);
+    const all = Log.addTransport(Log.transports.memory({ size: 2 }));
+    const errors = Log.addTransport(Log.transports.memory({ name: 'errors', level: 'error' }));
+
+    Log.info('one');
+    Log.warn('two');
+    Log.error('three');
+
+    assert.deepStrictEqual(messages(all), ['two', 'three']);
+    assert.deepStrictEqual(messages(errors), ['three']);
+    assert.strictEqual(Log.getTransports().length, 2);
+    assert.strictEqual(Log.removeTransport('errors'), true);
+    assert.strictEqual(Log.removeTransport('errors'), false);
+
+    all.clear();
+    assert.deepStrictEqual(all.entries(), []);
+});
+
+test('a failing transport is reported and does not stop the others', function(t) {
+    reset(t);
+    const reported = t.mock.method(console, 'error', function() {});
+    Log.addTransport({ name: 'broken', write: function() { throw new Error('disk full'); } });
+    const memory = Log.addTransport(Log.transports.memory());
+
+    Log.info('still logged');
+
+    assert.deepStrictEqual(messages(memory), ['still logged']);
+    assert.strictEqual(reported.mock.callCount(), 1);
+    assert.match(reported.mock.calls[0].arguments[0], /Transport "broken" failed/);
+});
+
+test('stream transports write text or JSON lines and end the stream on close', function(t) {
+    reset(t);
+    const lines = [];
+    let ended = false;
+    const stream = {
+        write: function(chunk) { lines.push(chunk); },
+        end: function() { ended = true; }
+    };
+
+    const text = Log.addTransport(Log.transports.stream(stream, { end: true }));
+    Log.create('api').warn('slow', { ms: 900 });
+    Log.removeTransport(text);
+    Log.addTransport(Log.transports.stream(stream, { format: 'json' }));
+    Log.info('done');
+
+    assert.match(lines[0], /^\S+ WARNING \[api\] slow \{"ms":900\}\n$/);
+    assert.strictEqual(JSON.parse(lines[1]).message, 'done');
+    return Promise.resolve().then(function() {
+        assert.strictEqual(ended, true);
+    });
+});
+
+test('file transports append lines to a file', function(t) {
+    reset(t);
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'omnihelper-')), 'app.log');
+    t.after(function() {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    const transport = Log.addTransport(Log.transports.file(file, { format: 'json' }));
+    Log.info('saved');
+    Log.removeTransport(transport);
+
+    return new Promise(function(resolve, reject) {
+        let tries = 0;
+        (function check() {
+            const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+            if (content) {
+                resolve(content);
+            } else if (++tries > 100) {
+                reject(new Error('file was never written'));
+            } else {
+                setTimeout(check, 10);
+            }
+        })();
+    }).then(function(content) {
+        assert.strictEqual(JSON.parse(content).message, 'saved');
+    });
+});
+
+test('http transports post batches of records and retry failures', function(t) {
+    reset(t);
+    const bodies = mockFetch(t, [503]);
+    Log.addTransport(Log.transports.http('https://logs.example.com', { batchSize: 2, retries: 1, retryDelay: 1 }));
+
+    Log.info('a');
+    Log.warn('b', { user: 7 });
+
+    return Log.flush().then(function() {
+        assert.strictEqual(bodies.length, 2);
+        assert.deepStrictEqual(bodies[1].map(function(record) { return record.message; }), ['a', 'b']);
+        assert.strictEqual(bodies[1][1].user, 7);
+    });
+});
+
+test('http transports keep failed batches and send them on the next flush or close', function(t) {
+    reset(t);
+    t.mock.method(console, 'error', function() {});
+    const bodies = mockFetch(t, [500]);
+    const transport = Log.addTransport(Log.transports.http('https://logs.example.com', { retries: 0, flushInterval: 0 }));
+
+    Log.info('kept');
+
+    return assert.rejects(transport.flush(), /HTTP 500/).then(function() {
+        Log.info('later');
+        return transport.close();
+    }).then(function() {
+        assert.strictEqual(bodies.length, 2);
+        assert.deepStrictEqual(bodies[1].map(function(record) { return record.message; }), ['kept', 'later']);
+    });
+});
+
+test('transports reject invalid targets', function() {
+    assert.throws(function() {
+        Log.addTransport({});
+    }, /Transport must have a write function/);
+    assert.throws(function() {
+        Log.addTransport({ level: 'loud', write: function() {} });
+    }, /Unknown log level "loud"/);
+    assert.throws(function() {
+        Log.transports.stream({});
+    }, /Stream must have a write function/);
+    assert.throws(function() {
+        Log.transports.http('');
+    }, /URL must be a non-empty string/);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+function schemas() {
+    const user = Data.entity('users');
+    const comment = Data.entity('comments', { author: user });
+    const article = Data.entity('articles', { author: user, comments: [comment] });
+    return { user: user, comment: comment, article: article };
+}
+
+const articles = [
+    {
+        id: 1,
+        title: 'Intro',
+        author: { id: 'u1', name: 'Ada' },
+        comments: [{ id: 10, text: 'Nice', author: { id: 'u2', name: 'Linus' } }]
+    },
+    { id: 2, title: 'More', author: { id: 'u1', name: 'Ada', role: 'admin' }, comments: [] }
+];
+
+test('normalize flattens nested entities into maps keyed by id', function() {
+    const s = schemas();
+    const normalized = Data.normalize(articles, [s.article]);
+
+    assert.deepStrictEqual(normalized.result, [1, 2]);
+    assert.deepStrictEqual(normalized.entities, {
+        users: {
+            u1: { id: 'u1', name: 'Ada', role: 'admin' },
+            u2: { id: 'u2', name: 'Linus' }
+        },
+        comments: { 10: { id: 10, text: 'Nice', author: 'u2' } },
+        articles: {
+            1: { id: 1, title: 'Intro', author: 'u1', comments: [10] },
+            2: { id: 2, title: 'More', author: 'u1', comments: [] }
+        }
+    });
+    assert.deepStrictEqual(articles[0].author, { id: 'u1', name: 'Ada' });
+});
+
+test('denormalize rebuilds the nested data and shares entities', function() {
+    const s = schemas();
+    const normalized = Data.normalize(articles, [s.article]);
+    const rebuilt = Data.denormalize(normalized.result, [s.article], normalized.entities);
+
+    assert.strictEqual(rebuilt[0].comments[0].author.name, 'Linus');
+    assert.strictEqual(rebuilt[0].author, rebuilt[1].author);
+    assert.strictEqual(rebuilt[0].author.role, 'admin');
+    assert.strictEqual(Data.denormalize(99, s.article, normalized.entities), undefined);
+});
+
+test('normalize supports custom ids, merge functions and plain object schemas', function() {
+    const tag = Data.entity('tags', {}, {
+        idAttribute: function(value) { return value.slug.toLowerCase(); },
+        merge: function(existing, incoming) { return Object.assign({}, existing, { count: existing.count + incoming.count }); }
+    });
+    const normalized = Data.normalize({ page: 1, data: { tags: [{ slug: 'JS', count: 1 }, { slug: 'js', count: 2 }] } }, {
+        data: { tags: [tag] }
+    });
+
+    assert.deepStrictEqual(normalized.result, { page: 1, data: { tags: ['js', 'js'] } });
+    assert.deepStrictEqual(normalized.entities.tags, { js: { slug: 'JS', count: 3 } });
+});
+
+test('normalize and denormalize handle unions', function() {
+    const admin = Data.entity('admins');
+    const customer = Data.entity('customers');
+    const member = Data.union({ admin: admin, customer: customer }, 'type');
+    const list = [{ id: 1, type: 'admin' }, { id: 1, type: 'customer' }];
+    const normalized = Data.normalize(list, [member]);
+
+    assert.deepStrictEqual(normalized.result, [{ id: 1, schema: 'admin' }, { id: 1, schema: 'customer' }]);
+    assert.deepStrictEqual(Data.denormalize(normalized.result, [member], normalized.entities), list);
+});
+
+test('normalize and denormalize survive circular relations', function() {
+    const user = Data.entity('users');
+    user.define({ friends: [user] });
+    const ada = { id: 1, friends: [] };
+    const linus = { id: 2, friends: [ada] };
+    ada.friends.push(linus);
+
+    const normalized = Data.normalize(ada, user);
+    assert.deepStrictEqual(normalized.entities.users, { 1: { id: 1, friends: [2] }, 2: { id: 2, friends: [1] } });
+
+    const rebuilt = Data.denormalize(1, user, normalized.entities);
+    assert.strictEqual(rebuilt.friends[0].friends[0], rebuilt);
+});
+
+test('entity and normalize reject missing keys and ids', function() {
+    assert.throws(function() {
+        Data.entity('');
+    }, /Entity key must be a non-empty string/);
+    assert.throws(function() {
+        Data.normalize({ name: 'no id' }, Data.entity('users'));
+    }, /Entity in "users" is missing an id/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+test('parseJSON parses standard JSON like JSON.parse', function() {
+    assert.deepStrictEqual(Data.parseJSON('{"a":[1,2.5e1,"x\\u0041"],"b":null}'), { a: [1, 25, 'xA'], b: null });
+    assert.deepStrictEqual(Data.parseJSON('{"a":{"b":1}}', {
+        reviver: function(key, value) { return key === 'b' ? value * 2 : value; }
+    }), { a: { b: 2 } });
+});
+
+test('parseJSON reports the line, column and a snippet of the error', function() {
+    assert.throws(function() {
+        Data.parseJSON('{\n  "a": 1,\n  "b": tru\n}');
+    }, function(error) {
+        assert.ok(error instanceof SyntaxError);
+        assert.strictEqual(error.line, 3);
+        assert.strictEqual(error.column, 8);
+        assert.strictEqual(error.snippet, '  "b": tru\n       ^');
+        assert.match(error.message, /^Unexpected token "t" at line 3, column 8/);
+        return true;
+    });
+    assert.throws(function() {
+        Data.parseJSON('[1, 2');
+    }, /Unexpected end of input, expected ',' or '\]' at line 1, column 6/);
+});
+
+test('parseJSON strict mode rejects JSON5 syntax and a leading BOM', function() {
+    ['{a: 1}', "['x']", '[1,]', '// c\n1', '0x10', '+1', '.5', 'NaN', '\uFEFF{}'].forEach(function(text) {
+        assert.throws(function() {
+            Data.parseJSON(text);
+        }, SyntaxError, text);
+    });
+});
+
+test('parseJSON relaxed mode accepts comments, trailing commas, quotes, hex and specials', function() {
+    const text = '\uFEFF{\n  // comment\n  name: \'Ada\', /* block */\n  hex: 0x1F, half: .5, big: +1e3,\n' +
+        '  inf: -Infinity, list: [1, 2,],\n}';
+    const result = Data.parseJSON(text, { relaxed: true });
+
+    assert.deepStrictEqual(result, { name: 'Ada', hex: 31, half: 0.5, big: 1000, inf: -Infinity, list: [1, 2] });
+    assert.ok(isNaN(Data.parseJSON('NaN', { relaxed: true })));
+    assert.throws(function() {
+        Data.parseJSON('{a: 1 /* open', { relaxed: true });
+    }, /Unterminated comment/);
+});
+
+test('parseJSON keeps __proto__ as an own key', function() {
+    const result = Data.parseJSON('{a: 1, "__proto__": {"polluted": true}}', { relaxed: true });
+
+    assert.strictEqual({}.polluted, undefined);
+    assert.deepStrictEqual(Object.keys(result), ['a', '__proto__']);
+});
+
+test('deepParse modes: default falls back, strict throws, relaxed parses', function(t) {
+    const warn = t.mock.method(console, 'warn', function() {});
+
+    assert.strictEqual(Data.deepParse('{bad', 'fallback'), 'fallback');
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.throws(function() {
+        Data.deepParse('{bad', 'fallback', { mode: 'strict' });
+    }, /expected property name at line 1, column 2/);
+    assert.deepStrictEqual(Data.deepParse('{a: 1,}', null, { mode: 'relaxed' }), { a: 1 });
+    assert.strictEqual(Data.deepParse(5, 'x'), 'x');
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+test('diff produces add, remove, replace and move operations', function() {
+    const before = { name: 'Ada', role: 'dev', tags: ['a', 'b'], old: { x: 1 } };
+    const after = { name: 'Ada L.', tags: ['a', 'b', 'c'], renamed: { x: 1 }, 'a/b': true };
+
+    assert.deepStrictEqual(Data.diff(before, after), [
+        { op: 'move', from: '/old', path: '/renamed' },
+        { op: 'remove', path: '/role' },
+        { op: 'replace', path: '/name', value: 'Ada L.' },
+        { op: 'add', path: '/tags/2', value: 'c' },
+        { op: 'add', path: '/a~1b', value: true }
+    ]);
+});
+
+test('diff detects an array element moved to the other end', function() {
+    assert.deepStrictEqual(Data.diff([1, 2, 3, 4], [2, 3, 4, 1]), [{ op: 'move', from: '/0', path: '/3' }]);
+    assert.deepStrictEqual(Data.diff({ a: 1 }, { a: 1 }), []);
+});
+
+test('applyPatch of a diff rebuilds the target without touching the input', function() {
+    const before = { user: { name: 'Ada', langs: ['js'] }, meta: { v: 1 }, stale: true };
+    const after = { user: { name: 'Ada', langs: ['js', 'py'] }, meta: { v: 1 }, fresh: true };
+    const patched = Data.applyPatch(before, Data.diff(before, after));
+
+    assert.deepStrictEqual(patched, after);
+    assert.deepStrictEqual(before.user.langs, ['js']);
+    assert.strictEqual(patched.meta, before.meta);
+});
+
+test('applyPatch supports copy, test and the "-" array index', function() {
+    const doc = { list: [1], src: { a: 1 } };
+    const patched = Data.applyPatch(doc, [
+        { op: 'test', path: '/src/a', value: 1 },
+        { op: 'add', path: '/list/-', value: 2 },
+        { op: 'copy', from: '/src', path: '/dst' },
+        { op: 'replace', path: '/list/0', value: 0 }
+    ]);
+
+    assert.deepStrictEqual(patched, { list: [0, 2], src: { a: 1 }, dst: { a: 1 } });
+    assert.deepStrictEqual(Data.applyPatch(doc, [{ op: 'replace', path: '', value: 5 }]), 5);
+});
+
+test('applyPatch is atomic and reports the failing operation', function() {
+    const doc = { a: 1 };
+
+    assert.throws(function() {
+        Data.applyPatch(doc, [{ op: 'add', path: '/b', value: 2 }, { op: 'test', path: '/a', value: 2 }]);
+    }, function(error) {
+        assert.strictEqual(error.index, 1);
+        assert.match(error.message, /Patch operation 1 \(test \/a\) failed: test failed, expected 2 but found 1/);
+        return true;
+    });
+    assert.deepStrictEqual(doc, { a: 1 });
+});
+
+test('applyPatch rejects invalid operations and paths', function() {
+    assert.throws(function() {
+        Data.applyPatch({}, { op: 'add' });
+    }, /Patch must be an array of operations/);
+    assert.throws(function() {
+        Data.applyPatch({}, [{ path: '/a' }]);
+    }, /missing "op"/);
+    assert.throws(function() {
+        Data.applyPatch({}, [{ op: 'remove', path: '/missing' }]);
+    }, /path does not exist/);
+    assert.throws(function() {
+        Data.applyPatch({ list: [] }, [{ op: 'add', path: '/list/5', value: 1 }]);
+    }, /array index out of bounds/);
+    assert.throws(function() {
+        Data.applyPatch({ a: { b: 1 } }, [{ op: 'move', from: '/a', path: '/a/b/c' }]);
+    }, /cannot move a value into one of its children/);
+    assert.throws(function() {
+        Data.applyPatch({}, [{ op: 'add', path: 'a', value: 1 }]);
+    }, /Invalid JSON Pointer: a/);
+    assert.throws(function() {
+        Data.applyPatch({}, [{ op: 'merge', path: '/a' }]);
+    }, /unknown operation/);
+});
+
+test('toPointer and fromPointer escape ~ and /', function() {
+    assert.strictEqual(Data.toPointer('items.0.price'), '/items/0/price');
+    assert.strictEqual(Data.toPointer(['a/b', 'c~d']), '/a~1b/c~0d');
+    assert.deepStrictEqual(Data.parsePointer('/a~1b/c~0d'), ['a/b', 'c~d']);
+    assert.strictEqual(Data.fromPointer('/items/0/price'), 'items.0.price');
+});
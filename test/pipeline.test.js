@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+test('pipe composes sync functions left to right', function() {
+    const run = Data.pipe(function(x) { return x + 1; }, function(x) { return x * 10; });
+
+    assert.strictEqual(run(1), 20);
+});
+
+test('pipeAsync runs sync and async stages in order', function() {
+    const run = Data.pipeAsync(
+        function(x) { return x + 1; },
+        { name: 'double', fn: function(x) { return Promise.resolve(x * 2); } },
+        function(x) { return String(x); }
+    );
+
+    return run(1).then(function(result) {
+        assert.strictEqual(result, '4');
+    });
+});
+
+test('pipeAsync reports the failing stage with its input and cause', function() {
+    const cause = new Error('boom');
+    const run = Data.pipeAsync(
+        function add(x) { return x + 1; },
+        function explode() { throw cause; }
+    );
+
+    return assert.rejects(run(1), function(error) {
+        assert.strictEqual(error.message, 'Pipeline stage 1 ("explode") failed: boom');
+        assert.strictEqual(error.stage, 1);
+        assert.strictEqual(error.stageName, 'explode');
+        assert.strictEqual(error.input, 2);
+        assert.strictEqual(error.cause, cause);
+        return true;
+    });
+});
+
+test('pipeAsync times out slow stages and skips the rest', function() {
+    let reached = false;
+    const run = Data.pipeAsync(
+        { name: 'slow', fn: function() { return new Promise(function(resolve) { setTimeout(resolve, 200); }); }, timeout: 10 },
+        function() { reached = true; }
+    );
+
+    return assert.rejects(run(), /Pipeline stage 0 \("slow"\) timed out after 10ms/).then(function() {
+        assert.strictEqual(reached, false);
+    });
+});
+
+test('pipeAsync applies the default timeout from the options object', function() {
+    const run = Data.pipeAsync(function() {
+        return new Promise(function(resolve) { setTimeout(resolve, 200); });
+    }, { timeout: 5 });
+
+    return assert.rejects(run(), /timed out after 5ms/);
+});
+
+test('pipeAsync taps every stage result', function() {
+    const seen = [];
+    const run = Data.pipeAsync(
+        function inc(x) { return x + 1; },
+        function square(x) { return x * x; },
+        { tap: function(value, info) { seen.push([info.index, info.name, value]); } }
+    );
+
+    return run(2).then(function() {
+        assert.deepStrictEqual(seen, [[0, 'inc', 3], [1, 'square', 9]]);
+    });
+});
+
+test('pipeAsync rejects stages that are not functions', function() {
+    assert.throws(function() {
+        Data.pipeAsync(function() {}, 'nope');
+    }, /Pipeline stage 1 must be a function/);
+});
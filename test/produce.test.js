@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+test('produce drafts a state frozen by an earlier produce', function() {
+    const frozen = OmniHelper.Data.produce({ list: [1, 2], user: { name: 'Ada' } }, function(draft) {
+        draft.list.push(3);
+    }, { freeze: true });
+
+    const next = OmniHelper.Data.produce(frozen, function(draft) {
+        assert.deepStrictEqual(Object.keys(draft.list), ['0', '1', '2']);
+        assert.deepStrictEqual(Object.entries(draft.user), [['name', 'Ada']]);
+        assert.deepStrictEqual(Object.assign({}, draft.list), { 0: 1, 1: 2, 2: 3 });
+        const keys = [];
+        for (const key in draft.user) {
+            keys.push(key);
+        }
+        assert.deepStrictEqual(keys, ['name']);
+        draft.list.push(4);
+    });
+
+    assert.ok(Object.isFrozen(frozen));
+    assert.deepStrictEqual(frozen.list, [1, 2, 3]);
+    assert.deepStrictEqual(next.list, [1, 2, 3, 4]);
+    assert.strictEqual(next.user, frozen.user);
+});
+
+test('produce copies only the touched branches', function() {
+    const state = { user: { name: 'Ada' }, cart: { items: [{ id: 1 }] }, meta: {} };
+    const next = OmniHelper.Data.produce(state, function(draft) {
+        draft.cart.items.push({ id: 2 });
+        draft.cart.items[0].qty = 3;
+        delete draft.meta.missing;
+    });
+
+    assert.notStrictEqual(next, state);
+    assert.notStrictEqual(next.cart.items, state.cart.items);
+    assert.strictEqual(next.user, state.user);
+    assert.strictEqual(next.meta, state.meta);
+    assert.deepStrictEqual(next.cart.items, [{ id: 1, qty: 3 }, { id: 2 }]);
+    assert.deepStrictEqual(state.cart.items, [{ id: 1 }]);
+});
+
+test('produce returns the base when nothing changes and accepts replacements', function() {
+    const state = { count: 1 };
+
+    assert.strictEqual(OmniHelper.Data.produce(state, function(draft) {
+        draft.count = 1;
+    }), state);
+    assert.deepStrictEqual(OmniHelper.Data.produce(state, function() {
+        return { count: 2 };
+    }), { count: 2 });
+    assert.strictEqual(OmniHelper.Data.produce(5, function(value) {
+        return value + 1;
+    }), 6);
+});
+
+test('produce freezes the result when asked and revokes drafts afterwards', function() {
+    let leaked;
+    const next = OmniHelper.Data.produce({ list: [] }, function(draft) {
+        leaked = draft;
+        draft.list.push({ id: 1 });
+    }, { freeze: true });
+
+    assert.ok(Object.isFrozen(next));
+    assert.ok(Object.isFrozen(next.list[0]));
+    assert.throws(function() {
+        leaked.list = [];
+    }, TypeError);
+    assert.throws(function() {
+        OmniHelper.Data.produce({}, 'recipe');
+    }, /Recipe must be a function/);
+});
+
+test('setIn, updateIn, removeIn and mergeIn share untouched branches', function() {
+    const Data = OmniHelper.Data;
+    const state = { a: { b: [1, 2, 3] }, c: { d: 1 } };
+
+    const set = Data.setIn(state, 'a.b.1', 20);
+    assert.deepStrictEqual(set.a.b, [1, 20, 3]);
+    assert.strictEqual(set.c, state.c);
+
+    assert.deepStrictEqual(Data.updateIn(state, ['c', 'd'], function(value) { return value + 1; }).c, { d: 2 });
+    assert.deepStrictEqual(Data.setIn({}, 'x.y', 1), { x: { y: 1 } });
+    assert.deepStrictEqual(Data.removeIn(state, 'a.b.0').a.b, [2, 3]);
+    assert.strictEqual(Data.removeIn(state, 'a.missing'), state);
+    assert.deepStrictEqual(Data.mergeIn(state, 'c', { e: 2 }).c, { d: 1, e: 2 });
+    assert.strictEqual(Data.mergeIn(state, 'c', { d: 1 }), state);
+    assert.strictEqual(Data.setIn(state, 'c.d', 1), state);
+    assert.ok(Object.isFrozen(Data.setIn(state, 'c.d', 5, { freeze: true }).c));
+    assert.deepStrictEqual(state, { a: { b: [1, 2, 3] }, c: { d: 1 } });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+const orders = [
+    { id: 1, total: 250, status: 'paid', customer: { city: 'Cairo' } },
+    { id: 2, total: 80, status: 'paid', customer: { city: 'Giza' } },
+    { id: 3, total: 120, status: 'shipped', customer: { city: 'Cairo' } },
+    { id: 4, total: 300, status: 'cancelled', customer: { city: 'Alex' } },
+    { id: 5, total: 120, status: 'paid', customer: { city: 'Cairo' } }
+];
+
+test('query chains where, orderBy, select and limit', function() {
+    const result = Data.query(orders)
+        .where({ total: { $gt: 100 }, status: { $in: ['paid', 'shipped'] } })
+        .orderBy('total', 'desc')
+        .orderBy('id')
+        .select('id', 'total')
+        .limit(2)
+        .toArray();
+
+    assert.deepStrictEqual(result, [{ id: 1, total: 250 }, { id: 3, total: 120 }]);
+});
+
+test('query is lazy, immutable and stops at the limit', function() {
+    let calls = 0;
+    const base = Data.query(orders).where(function(order) {
+        calls++;
+        return order.status === 'paid';
+    });
+    const limited = base.limit(1);
+
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(limited.first().id, 1);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(base.count(), 3);
+});
+
+test('query supports offset, distinct and groupBy', function() {
+    assert.deepStrictEqual(Data.query(orders).offset(3).select(['id']).toArray(), [{ id: 4 }, { id: 5 }]);
+    assert.deepStrictEqual(Data.query(orders).distinct('customer.city').select('id').toArray(), [{ id: 1 }, { id: 2 }, { id: 4 }]);
+    assert.deepStrictEqual(Data.query(orders).groupBy('status').select(function(group) {
+        return [group.key, group.items.length];
+    }).toArray(), [['paid', 3], ['shipped', 1], ['cancelled', 1]]);
+});
+
+test('matches understands comparison, set, regex, existence and logical operators', function() {
+    const order = orders[0];
+
+    assert.ok(Data.matches(order, { 'customer.city': 'Cairo', total: { $gte: 250, $lt: 300 } }));
+    assert.ok(Data.matches(order, { status: { $nin: ['cancelled'] }, note: { $exists: false } }));
+    assert.ok(Data.matches(order, { status: { $regex: '^PA', $options: 'i' } }));
+    assert.ok(Data.matches(order, { $or: [{ total: 1 }, { id: 1 }], $not: { status: 'shipped' } }));
+    assert.ok(Data.matches(order, { total: { $not: { $lt: 100 } } }));
+    assert.ok(!Data.matches(order, { $and: [{ id: 1 }, { total: { $ne: 250 } }] }));
+    assert.ok(!Data.matches({ total: null }, { total: { $lt: 10 } }));
+});
+
+test('query rejects bad input and unknown operators', function() {
+    assert.throws(function() {
+        Data.query('orders');
+    }, /Input must be an array/);
+    assert.throws(function() {
+        Data.query(orders).where(5);
+    }, /Where criteria must be an object or a function/);
+    assert.throws(function() {
+        Data.query(orders).where({ total: { $between: [1, 2] } }).toArray();
+    }, /Unknown query operator: \$between/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+const store = {
+    name: 'shop',
+    books: [
+        { title: 'A', price: 8, tags: ['new'], isbn: 0 },
+        { title: 'B', price: 12, tags: [] },
+        { title: 'C', price: 20, tags: ['sale', 'new'], isbn: '123' }
+    ],
+    bike: { color: 'red', price: 300 }
+};
+
+test('select supports child, wildcard, index, slice and union selectors', function() {
+    assert.deepStrictEqual(Data.select(store, '$.books[*].title'), ['A', 'B', 'C']);
+    assert.deepStrictEqual(Data.select(store, '$.books[-1].title'), ['C']);
+    assert.deepStrictEqual(Data.select(store, '$.books[0:2].price'), [8, 12]);
+    assert.deepStrictEqual(Data.select(store, '$.books[::-1].title'), ['C', 'B', 'A']);
+    assert.deepStrictEqual(Data.select(store, "$['name','bike'].color"), ['red']);
+    assert.deepStrictEqual(Data.select(store, '$.books[0,2].title'), ['A', 'C']);
+    assert.deepStrictEqual(Data.select(store, '$.missing.deep'), []);
+});
+
+test('select descends recursively', function() {
+    assert.deepStrictEqual(Data.select(store, '$..price'), [8, 12, 20, 300]);
+    assert.deepStrictEqual(Data.select(store, '$..tags[0]'), ['new', 'sale']);
+});
+
+test('select filters with comparisons, regexes, logic and existence', function() {
+    assert.deepStrictEqual(Data.select(store, '$.books[?(@.price > 10 && @.price < 20)].title'), ['B']);
+    assert.deepStrictEqual(Data.select(store, "$.books[?(@.title == 'A' || !(@.price <= 12))].title"), ['A', 'C']);
+    assert.deepStrictEqual(Data.select(store, '$.books[?(@.title =~ /^[ab]$/i)].title'), ['A', 'B']);
+    assert.deepStrictEqual(Data.select(store, '$.books[?(@.isbn)].title'), ['A', 'C']);
+    assert.deepStrictEqual(Data.select(store, '$.books[?(@.price < $.bike.price)].title'), ['A', 'B', 'C']);
+});
+
+test('select paths are key arrays and pointers, unambiguous for dotted keys', function() {
+    const data = { 'a.b': { c: 1 }, a: { b: { c: 2 } }, 'x/y': [true] };
+
+    assert.deepStrictEqual(Data.select(data, '$..c', { paths: true }), [
+        { path: ['a.b', 'c'], pointer: '/a.b/c', value: 1 },
+        { path: ['a', 'b', 'c'], pointer: '/a/b/c', value: 2 }
+    ]);
+    const entry = Data.select(data, "$['x/y'][0]", { paths: true })[0];
+    assert.deepStrictEqual(entry, { path: ['x/y', 0], pointer: '/x~1y/0', value: true });
+    assert.deepStrictEqual(Data.setIn(data, entry.path, false)['x/y'], [false]);
+});
+
+test('select does not loop forever on cyclic data', function() {
+    const node = { name: 'root', children: [{ name: 'leaf' }] };
+    node.children.push(node);
+    node.self = node;
+
+    assert.deepStrictEqual(Data.select(node, '$..name'), ['root', 'leaf']);
+});
+
+test('select rejects invalid expressions', function() {
+    assert.throws(function() {
+        Data.select(store, 5);
+    }, /JSONPath expression must be a string/);
+    assert.throws(function() {
+        Data.select(store, '$.books[');
+    }, SyntaxError);
+    assert.throws(function() {
+        Data.select(store, '$.books[?(@.price >)]');
+    }, /Invalid JSONPath/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+function names(rows) {
+    return rows.map(function(row) {
+        return row.name;
+    });
+}
+
+test('sortBy is case-insensitive by default and stable', function() {
+    const rows = [{ name: 'b', n: 1 }, { name: 'A', n: 2 }, { name: 'a', n: 3 }, { name: 'B', n: 4 }];
+
+    assert.deepStrictEqual(Data.sortBy(rows, 'name').map(function(row) { return row.n; }), [2, 3, 1, 4]);
+    assert.deepStrictEqual(names(Data.sortBy(rows, 'name', 'asc', { caseSensitive: true })), ['A', 'B', 'a', 'b']);
+});
+
+test('sortBy natural order compares embedded numbers', function() {
+    const rows = [{ name: 'item10' }, { name: 'item2' }, { name: 'Item1' }];
+
+    assert.deepStrictEqual(names(Data.sortBy(rows, 'name')), ['Item1', 'item10', 'item2']);
+    assert.deepStrictEqual(names(Data.sortBy(rows, 'name', 'asc', { natural: true })), ['Item1', 'item2', 'item10']);
+});
+
+test('sortBy uses the locale collator', function() {
+    const rows = [{ name: 'zebra' }, { name: 'äpfel' }, { name: 'banane' }];
+
+    assert.deepStrictEqual(names(Data.sortBy(rows, 'name')), ['banane', 'zebra', 'äpfel']);
+    assert.deepStrictEqual(names(Data.sortBy(rows, 'name', 'asc', { locale: 'de' })), ['äpfel', 'banane', 'zebra']);
+});
+
+test('sortBy puts null and undefined last in both directions unless asked', function() {
+    const rows = [{ v: 2 }, { v: null }, { v: 1 }, {}];
+    const values = function(list) {
+        return list.map(function(row) { return row.v; });
+    };
+
+    assert.deepStrictEqual(values(Data.sortBy(rows, 'v')), [1, 2, null, undefined]);
+    assert.deepStrictEqual(values(Data.sortBy(rows, 'v', 'desc')), [2, 1, null, undefined]);
+    assert.deepStrictEqual(values(Data.sortBy(rows, 'v', 'asc', { nulls: 'first' })), [null, undefined, 1, 2]);
+});
+
+test('sortBy handles several keys, per-key specs, dates and custom compare', function() {
+    const rows = [
+        { team: 'b', at: new Date(2), score: 1 },
+        { team: 'a', at: new Date(1), score: 1 },
+        { team: 'a', at: new Date(3), score: 2 }
+    ];
+
+    assert.deepStrictEqual(Data.sortBy(rows, ['team', 'at'], ['asc', 'desc']).map(function(row) {
+        return row.at.getTime();
+    }), [3, 1, 2]);
+    assert.deepStrictEqual(Data.sortBy(rows, [{ key: 'score', order: 'desc' }, 'team']).map(function(row) {
+        return row.team + row.score;
+    }), ['a2', 'a1', 'b1']);
+    assert.deepStrictEqual(Data.sortBy(['bb', 'a', 'ccc'], function(s) { return s; }, 'asc', {
+        compare: function(a, b) { return a.length - b.length; }
+    }), ['a', 'bb', 'ccc']);
+});
+
+test('sortBy does not mutate the input and rejects non-arrays', function() {
+    const rows = [{ v: 2 }, { v: 1 }];
+
+    Data.sortBy(rows, 'v');
+    assert.deepStrictEqual(rows, [{ v: 2 }, { v: 1 }]);
+    assert.throws(function() {
+        Data.sortBy('abc', 'v');
+    }, /Input must be an array/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Stats = OmniHelper.Stats;
+
+const sales = [
+    { day: 1, amount: 10 },
+    { day: 2, amount: 20 },
+    { day: 3, amount: null },
+    { day: 4, amount: 30 },
+    { day: 5, amount: 40 }
+];
+
+test('values and positions skip missing and non-numeric entries', function() {
+    assert.deepStrictEqual(Stats.values([1, null, '2', '', true, NaN, Infinity, undefined, 3]), [1, 2, 3]);
+    assert.deepStrictEqual(Stats.positions(sales, 'amount'), [10, 20, null, 30, 40]);
+    assert.deepStrictEqual(Stats.values(sales, function(row) { return row.day * 2; }), [2, 4, 6, 8, 10]);
+});
+
+test('sum, mean, median and mode', function() {
+    assert.strictEqual(Stats.sum(sales, 'amount'), 100);
+    assert.strictEqual(Stats.mean(sales, 'amount'), 25);
+    assert.strictEqual(Stats.mean([]), null);
+    assert.strictEqual(Stats.median([5, 1, 3]), 3);
+    assert.strictEqual(Stats.median([4, 1, 3, 2]), 2.5);
+    assert.deepStrictEqual(Stats.mode(['b', 'a', 'b', 'a', 'c']), ['b', 'a']);
+    assert.deepStrictEqual(Stats.mode([{ k: null }, { k: 1 }], 'k'), [1]);
+});
+
+test('variance and stddev support sample and population', function() {
+    const values = [2, 4, 4, 4, 5, 5, 7, 9];
+
+    assert.strictEqual(Stats.variance(values, null, 'population'), 4);
+    assert.strictEqual(Stats.stddev(values, null, 'population'), 2);
+    assert.strictEqual(Stats.variance([1, 2, 3, 4]), 5 / 3);
+    assert.strictEqual(Stats.variance([1]), null);
+    assert.strictEqual(Stats.variance([1], null, 'population'), 0);
+    assert.strictEqual(Stats.stddev([]), null);
+});
+
+test('quantile, quantiles and percentile interpolate between ranks', function() {
+    const values = [1, 2, 3, 4];
+
+    assert.strictEqual(Stats.quantile(values, 0.25), 1.75);
+    assert.deepStrictEqual(Stats.quantiles(values, [0, 0.5, 1]), [1, 2.5, 4]);
+    assert.strictEqual(Stats.percentile(sales, 50, 'amount'), 25);
+    assert.strictEqual(Stats.quantile([], 0.5), null);
+    assert.throws(function() {
+        Stats.quantile(values, 1.5);
+    }, /Quantile must be a number between 0 and 1/);
+});
+
+test('minBy and maxBy return the first matching item', function() {
+    const rows = [{ n: 'a', v: 2 }, { n: 'b', v: 5 }, { n: 'c', v: 5 }, { n: 'd', v: null }];
+
+    assert.strictEqual(Stats.minBy(rows, 'v').n, 'a');
+    assert.strictEqual(Stats.maxBy(rows, 'v').n, 'b');
+    assert.strictEqual(Stats.maxBy([], 'v'), undefined);
+    assert.throws(function() {
+        Stats.minBy('nope', 'v');
+    }, /Input must be an array/);
+});
+
+test('histogram buckets values into even or custom bins', function() {
+    assert.deepStrictEqual(Stats.histogram([1, 2, 2, 3, 4], { bins: 3 }), [
+        { from: 1, to: 2, count: 1 },
+        { from: 2, to: 3, count: 2 },
+        { from: 3, to: 4, count: 2 }
+    ]);
+    assert.deepStrictEqual(Stats.histogram(sales, { key: 'amount', bins: [0, 25, 50] }), [
+        { from: 0, to: 25, count: 2 },
+        { from: 25, to: 50, count: 2 }
+    ]);
+    assert.deepStrictEqual(Stats.histogram([7, 7], { bins: 1 }), [{ from: 7, to: 8, count: 2 }]);
+    assert.deepStrictEqual(Stats.histogram([], { bins: 2 }), []);
+});
+
+test('movingAverage supports simple and exponential windows', function() {
+    assert.deepStrictEqual(Stats.movingAverage([1, 2, 3, 4], 2), [null, 1.5, 2.5, 3.5]);
+    assert.deepStrictEqual(Stats.movingAverage(sales, 2, 'amount'), [null, 15, null, null, 35]);
+    assert.deepStrictEqual(Stats.movingAverage([2, 4, null, 8], 3, null, 'exponential'), [2, 3, null, 5.5]);
+});
+
+test('pairs, correlation and linearRegression', function() {
+    const points = [{ x: 1, y: 2 }, { x: 2, y: null }, { x: 3, y: 6 }, { x: null, y: 1 }, { x: 4, y: 8 }];
+
+    assert.deepStrictEqual(Stats.pairs(points, 'x', 'y'), { xs: [1, 3, 4], ys: [2, 6, 8] });
+    assert.deepStrictEqual(Stats.pairs([1, 2, 3], [1, 'x', 9]), { xs: [1, 3], ys: [1, 9] });
+    assert.strictEqual(Stats.correlation(points, 'x', 'y'), 1);
+    assert.strictEqual(Stats.correlation([1, 2, 3], [5, 5, 5]), null);
+
+    const fit = Stats.linearRegression(points, 'x', 'y');
+    assert.strictEqual(fit.slope, 2);
+    assert.strictEqual(fit.intercept, 0);
+    assert.strictEqual(fit.r2, 1);
+    assert.strictEqual(fit.predict(10), 20);
+    assert.strictEqual(Stats.linearRegression([1], [1]), null);
+    assert.strictEqual(Stats.linearRegression([2, 2], [1, 3]), null);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+function roundTrip(value) {
+    return Data.deepParse(Data.serialize(value, { tagged: true }), null, { tagged: true });
+}
+
+test('tagged serialization preserves rich types', function() {
+    const value = {
+        when: new Date(0),
+        invalid: new Date(NaN),
+        map: new Map([[1, 'one'], ['k', { deep: true }]]),
+        set: new Set(['a', 2]),
+        big: 12345678901234567890n,
+        pattern: /a+b/gi,
+        bytes: new Uint8Array([1, 2, 255]),
+        bigs: new BigInt64Array([-1n]),
+        buffer: new Uint8Array([9, 8]).buffer,
+        numbers: [NaN, Infinity, -Infinity, -0],
+        missing: undefined,
+        list: [undefined]
+    };
+    const result = roundTrip(value);
+
+    assert.strictEqual(result.when.getTime(), 0);
+    assert.ok(isNaN(result.invalid.getTime()));
+    assert.deepStrictEqual(result.map, value.map);
+    assert.deepStrictEqual(result.set, value.set);
+    assert.strictEqual(result.big, value.big);
+    assert.strictEqual(result.pattern.source, 'a+b');
+    assert.strictEqual(result.pattern.flags, 'gi');
+    assert.deepStrictEqual(result.bytes, value.bytes);
+    assert.deepStrictEqual(result.bigs, value.bigs);
+    assert.deepStrictEqual(Array.from(new Uint8Array(result.buffer)), [9, 8]);
+    assert.ok(Object.is(result.numbers[3], -0));
+    assert.deepStrictEqual(result.numbers.slice(0, 3), [NaN, Infinity, -Infinity]);
+    assert.ok(Object.prototype.hasOwnProperty.call(result, 'missing'));
+    assert.deepStrictEqual(result.list, [undefined]);
+});
+
+test('tagged serialization keeps the bytes in view of a DataView', function() {
+    const view = new DataView(new Uint8Array([1, 2, 3, 4, 5]).buffer, 1, 3);
+    const result = roundTrip({ view: view });
+
+    assert.ok(result.view instanceof DataView);
+    assert.deepStrictEqual(Array.from(new Uint8Array(result.view.buffer)), [2, 3, 4]);
+});
+
+test('tagged serialization keeps shared and circular references', function() {
+    const shared = { name: 'shared' };
+    const root = { a: shared, b: shared, list: [] };
+    root.self = root;
+    root.list.push(root.list);
+
+    const result = roundTrip(root);
+
+    assert.strictEqual(result.a, result.b);
+    assert.strictEqual(result.self, result);
+    assert.strictEqual(result.list[0], result.list);
+});
+
+test('tagged serialization escapes user objects with a $type key', function() {
+    const bare = Object.create(null);
+    bare.$type = 'Date';
+    bare.value = 5;
+
+    const result = roundTrip({ plain: { $type: 'Ref', id: 0 }, bare: bare });
+
+    assert.deepStrictEqual(result.plain, { $type: 'Ref', id: 0 });
+    assert.deepStrictEqual(Object.assign({}, result.bare), { $type: 'Date', value: 5 });
+});
+
+test('tagged serialization drops functions and symbols like JSON', function() {
+    const json = Data.serialize({ fn: function() {}, sym: Symbol('s'), list: [function() {}] }, { tagged: true });
+
+    assert.strictEqual(json, '{"list":[null]}');
+});
+
+test('fromTagged rejects unknown tags and references', function() {
+    assert.throws(function() {
+        Data.fromTagged({ $type: 'Widget', value: 1 });
+    }, /Unknown tagged type: Widget/);
+    assert.throws(function() {
+        Data.fromTagged({ $type: 'Ref', id: 3 });
+    }, /Unknown reference id: 3/);
+});
+
+test('plain serialize is unchanged', function() {
+    assert.strictEqual(Data.serialize({ a: [1] }), '{"a":[1]}');
+    assert.strictEqual(Data.serialize({ a: 1 }, 2), '{\n  "a": 1\n}');
+});
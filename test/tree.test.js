@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const tree = OmniHelper.Data.tree;
+
+const rows = [
+    { id: 1, parentId: null, name: 'root' },
+    { id: 2, parentId: 1, name: 'a' },
+    { id: 3, parentId: 1, name: 'b' },
+    { id: 4, parentId: 2, name: 'a1' }
+];
+
+function ids(nodes) {
+    return nodes.map(function(node) {
+        return node.id;
+    });
+}
+
+test('build nests rows under their parents without touching the input', function() {
+    const roots = tree.build(rows);
+
+    assert.strictEqual(roots.length, 1);
+    assert.deepStrictEqual(ids(roots[0].children), [2, 3]);
+    assert.deepStrictEqual(ids(roots[0].children[0].children), [4]);
+    assert.strictEqual(rows[0].children, undefined);
+});
+
+test('build promotes or drops orphans and honours custom keys', function() {
+    const list = [{ key: 'a' }, { key: 'b', up: 'missing' }];
+
+    assert.deepStrictEqual(tree.build(list, { idKey: 'key', parentKey: 'up', childrenKey: 'kids' }).map(function(node) {
+        return node.key;
+    }), ['a', 'b']);
+    assert.strictEqual(tree.build(list, { idKey: 'key', parentKey: 'up', orphans: 'drop' }).length, 1);
+});
+
+test('build breaks parent loops of any length instead of losing rows', function() {
+    const looped = [
+        { id: 1, parentId: 3 },
+        { id: 2, parentId: 1 },
+        { id: 3, parentId: 2 },
+        { id: 4, parentId: 4 },
+        { id: 5, parentId: 2 }
+    ];
+    const roots = tree.build(looped);
+
+    assert.deepStrictEqual(ids(roots), [1, 4]);
+    assert.strictEqual(tree.stats(roots).nodes, 5);
+    assert.deepStrictEqual(ids(roots[0].children[0].children), [3, 5]);
+    assert.deepStrictEqual(tree.build(looped, { orphans: 'drop' }), []);
+});
+
+test('walk visits depth-first or breadth-first and can stop early', function() {
+    const roots = tree.build(rows);
+    const depth = [];
+    const breadth = [];
+    const infos = {};
+
+    tree.walk(roots, function(node, info) {
+        depth.push(node.id);
+        infos[node.id] = { depth: info.depth, parent: info.parent && info.parent.id, path: ids(info.path) };
+    });
+    tree.walk(roots, function(node) {
+        breadth.push(node.id);
+    }, { strategy: 'breadth' });
+
+    assert.deepStrictEqual(depth, [1, 2, 4, 3]);
+    assert.deepStrictEqual(breadth, [1, 2, 3, 4]);
+    assert.deepStrictEqual(infos[4], { depth: 2, parent: 2, path: [1, 2] });
+    assert.strictEqual(tree.walk(roots, function(node) { return node.id !== 2; }), true);
+});
+
+test('find, pathTo, filter, map, flatten and stats', function() {
+    const roots = tree.build(rows);
+
+    assert.strictEqual(tree.find(roots, 4).name, 'a1');
+    assert.strictEqual(tree.find(roots, 99), undefined);
+    assert.deepStrictEqual(ids(tree.pathTo(roots, function(node) { return node.name === 'a1'; })), [1, 2, 4]);
+    assert.deepStrictEqual(tree.pathTo(roots, 99), []);
+
+    const filtered = tree.filter(roots, function(node) { return node.name === 'a1'; });
+    assert.deepStrictEqual(ids(filtered[0].children), [2]);
+    assert.deepStrictEqual(ids(roots[0].children), [2, 3]);
+    assert.strictEqual(tree.filter(roots, function(node) { return node.id === 2; }, { keepDescendants: true })[0].children[0], roots[0].children[0]);
+
+    const labels = tree.map(roots, function(node, info) { return { label: node.name, depth: info.depth }; }, { targetChildrenKey: 'items' });
+    assert.deepStrictEqual(labels[0].items[0], { label: 'a', depth: 1, items: [{ label: 'a1', depth: 2, items: [] }] });
+
+    assert.deepStrictEqual(tree.flatten(roots, { depthKey: 'level' }), [
+        { id: 1, parentId: null, name: 'root', level: 0 },
+        { id: 2, parentId: 1, name: 'a', level: 1 },
+        { id: 4, parentId: 2, name: 'a1', level: 2 },
+        { id: 3, parentId: 1, name: 'b', level: 1 }
+    ]);
+    assert.deepStrictEqual(tree.stats(roots), { nodes: 4, leaves: 2, depth: 3 });
+});
+
+test('map does not change the input when the callback returns the node', function() {
+    const roots = tree.build(rows);
+    const mapped = tree.map(roots, function(node) { return node; }, { targetChildrenKey: 'items' });
+
+    assert.strictEqual(roots[0].items, undefined);
+    assert.notStrictEqual(mapped[0], roots[0]);
+    assert.deepStrictEqual(ids(mapped[0].items), [2, 3]);
+});
+
+test('build rejects non-arrays', function() {
+    assert.throws(function() {
+        tree.build({});
+    }, /Input must be an array/);
+});
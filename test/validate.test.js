@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OmniHelper = require('../OmniHelper.js');
+
+const Data = OmniHelper.Data;
+
+const userSchema = Data.schema({
+    type: 'object',
+    unknown: 'strip',
+    properties: {
+        name: { type: 'string', required: true, min: 2 },
+        age: { type: 'integer', min: 0 },
+        role: { type: 'string', enum: ['admin', 'user'], default: 'user' },
+        tags: { type: 'array', items: 'string', max: 3 }
+    }
+});
+
+test('validate accepts valid input and applies defaults', function() {
+    const result = userSchema.validate({ name: 'Ada', age: 36, tags: ['x'], extra: true });
+
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.value, { name: 'Ada', age: 36, role: 'user', tags: ['x'] });
+});
+
+test('validate reports every error with its path', function() {
+    const result = userSchema.validate({ age: 1.5, role: 'root', tags: ['a', 2, 'c', 'd'] });
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.value, undefined);
+    assert.deepStrictEqual(result.errors.map(String), [
+        'name: is required',
+        'age: expected integer',
+        'role: must be one of: admin, user',
+        'tags: length must be at most 3',
+        'tags[1]: expected string'
+    ]);
+});
+
+test('validate stops at the first error with abortEarly', function() {
+    const result = userSchema.validate({ age: -1, role: 'root' }, { abortEarly: true });
+
+    assert.strictEqual(result.errors.length, 1);
+    assert.strictEqual(result.errors[0].path, 'name');
+});
+
+test('validate coerces strings when asked and leaves unconvertible values to fail', function() {
+    const schema = {
+        type: 'object',
+        properties: { count: 'number', active: 'boolean', list: 'array' }
+    };
+
+    const coerced = Data.validate({ count: '42', active: 'true', list: '[1,2]' }, schema, { coerce: true });
+    assert.deepStrictEqual(coerced.value, { count: 42, active: true, list: [1, 2] });
+
+    const failed = Data.validate({ count: 'abc', active: 'maybe' }, schema, { coerce: true });
+    assert.deepStrictEqual(failed.errors.map(String), ['count: expected number', 'active: expected boolean']);
+});
+
+test('validate rejects unknown keys with unknown: error and runs custom checks', function() {
+    const schema = {
+        type: 'object',
+        unknown: 'error',
+        properties: {
+            password: { type: 'string', check: function(value) { return value.length >= 8 || 'is too short'; } },
+            code: { type: 'string', pattern: '^[A-Z]{3}$' }
+        }
+    };
+
+    const result = Data.validate({ password: 'abc', code: 'ab1', other: 1 }, schema);
+    assert.deepStrictEqual(result.errors.map(String), [
+        'other: is not allowed',
+        'password: is too short',
+        'code: does not match pattern /^[A-Z]{3}$/'
+    ]);
+});
+
+test('schema rejects unknown types and malformed definitions', function() {
+    assert.throws(function() {
+        Data.schema({ type: 'date' });
+    }, /Unknown schema type: date/);
+    assert.throws(function() {
+        Data.schema(42);
+    }, /Schema definition must be an object or a type name/);
+});